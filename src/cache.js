@@ -0,0 +1,199 @@
+/** Statistics for a query cache
+*
+* @typedef {Object} QueryCache~Statistics
+* @property {number} hits - number of lookups answered from the cache
+* @property {number} misses - number of lookups which could not be answered from the cache
+* @property {number} evictions - number of result sets removed to keep the cache within its limits
+* @property {number} invalidations - number of result sets removed by invalidate
+* @property {number} entries - number of result sets currently in the cache
+* @property {number} items - total number of items in the result sets currently in the cache
+*/
+
+/** Cache of query result sets.
+*
+* A lookup is answered from the cache if the result set for an equal query is cached, or if the result
+* set of some cached query which contains the requested query can be filtered (with the requested query's
+* predicate) to produce the result. Result sets are evicted in least-recently-used order when the cache
+* holds more than max_entries result sets or more than max_items items in total.
+*
+* When data changes, call invalidate with the changed items (both old and new versions, where an item
+* has been updated) to remove every result set which might include them.
+*
+* @example
+* let cache = new QueryCache({ max_entries: 50 });
+* let results = cache.get(query);
+* if (results === undefined) {
+*	results = await fetchFromStore(query);
+*	cache.set(query, results);
+* }
+*/
+class QueryCache {
+
+	/** Create a query cache
+	*
+	* @param {Object} [options] - options
+	* @param {number} [options.max_entries=100] - maximum number of result sets held in the cache
+	* @param {number} [options.max_items=Infinity] - maximum total number of items held in the cache
+	*/
+	constructor(options = {}) {
+		Object.assign(this, { max_entries: 100, max_items: Infinity }, options);
+		this.result_sets = new Map();
+		this.item_count = 0;
+		this.resetStatistics();
+	}
+
+	/** Number of result sets in the cache */
+	get size() {
+		return this.result_sets.size;
+	}
+
+	/** Cache statistics
+	* @returns {QueryCache~Statistics} statistics
+	*/
+	get statistics() {
+		return {
+			hits: this.hits,
+			misses: this.misses,
+			evictions: this.evictions,
+			invalidations: this.invalidations,
+			entries: this.result_sets.size,
+			items: this.item_count
+		};
+	}
+
+	/** Reset hit, miss, eviction and invalidation counts to zero
+	*/
+	resetStatistics() {
+		this.hits = 0;
+		this.misses = 0;
+		this.evictions = 0;
+		this.invalidations = 0;
+	}
+
+	/** Get the results of a query from the cache
+	*
+	* @param {Query} query - query to look up
+	* @returns {Array} items selected by query, or undefined if they can't be found from the cache
+	* @throws {QueryComplexityError} if the canonical form of query has too many cubes
+	*/
+	get(query) {
+		let key = query.hashKey();
+		let entry = this.result_sets.get(key);
+		if (entry) {
+			this._touch(key, entry);
+			this.hits++;
+			return entry.items.slice();
+		}
+
+		for (let [other_key, other] of this.result_sets) {
+			if (other.query.contains(query) === true) {
+				this._touch(other_key, other);
+				this.hits++;
+				return other.items.filter(query.predicate);
+			}
+		}
+
+		this.misses++;
+		return undefined;
+	}
+
+	/** Add the results of a query to the cache
+	*
+	* Any cached result sets for queries contained by query are removed, since they can now be
+	* found by filtering the new result set.
+	*
+	* @param {Query} query - query
+	* @param {Iterable} items - all the items selected by query
+	* @returns {QueryCache} this cache
+	*/
+	set(query, items) {
+		let key = query.hashKey();
+		for (let [other_key, other] of Array.from(this.result_sets)) {
+			if (other_key === key || query.contains(other.query) === true) this._remove(other_key);
+		}
+		items = Array.from(items);
+		this.result_sets.set(key, { query, items });
+		this.item_count += items.length;
+		this._evict();
+		return this;
+	}
+
+	/** Check if the results of a query can be found from the cache
+	*
+	* Does not affect statistics or eviction order.
+	*
+	* @param {Query} query - query
+	* @returns {boolean} true if get would return the results of query
+	*/
+	has(query) {
+		if (this.result_sets.has(query.hashKey())) return true;
+		for (let other of this.result_sets.values())
+			if (other.query.contains(query) === true) return true;
+		return false;
+	}
+
+	/** Remove the result set for a query
+	*
+	* @param {Query} query - query
+	* @returns {boolean} true if a result set was removed
+	*/
+	delete(query) {
+		return this._remove(query.hashKey());
+	}
+
+	/** Remove every result set which might include any of the given items
+	*
+	* A result set is removed if its query contains an item, or if this can't be determined because
+	* the query is parametrized.
+	*
+	* @param {...Object} items - items which have been added, removed or changed
+	* @returns {number} the number of result sets removed
+	*/
+	invalidate(...items) {
+		let count = 0;
+		for (let [key, entry] of Array.from(this.result_sets)) {
+			if (items.some(item => entry.query.containsItem(item) !== false)) {
+				this._remove(key);
+				count++;
+			}
+		}
+		this.invalidations += count;
+		return count;
+	}
+
+	/** Remove all result sets
+	*/
+	clear() {
+		this.result_sets.clear();
+		this.item_count = 0;
+	}
+
+	/** Mark a result set as most recently used
+	* @private
+	*/
+	_touch(key, entry) {
+		this.result_sets.delete(key);
+		this.result_sets.set(key, entry);
+	}
+
+	/** @private */
+	_remove(key) {
+		let entry = this.result_sets.get(key);
+		if (!entry) return false;
+		this.result_sets.delete(key);
+		this.item_count -= entry.items.length;
+		return true;
+	}
+
+	/** Remove least recently used result sets until the cache is within its limits
+	* @private
+	*/
+	_evict() {
+		while (this.result_sets.size > 0 && (this.result_sets.size > this.max_entries || this.item_count > this.max_items)) {
+			this._remove(this.result_sets.keys().next().value);
+			this.evictions++;
+		}
+	}
+}
+
+module.exports = QueryCache;
@@ -32,10 +32,85 @@ class Cube {
 		return Stream
 			.fromProperties(this)
 			.every(([dimension,range]) => {
-				return  item[dimension] && range.containsItem(item[dimension]);
+				return range.containsItem(item[dimension]);
 			});		
 	}
 
+	/** Create a function which determines whether an item is in this cube
+	*
+	* @returns {Function} a function returning the same result as containsItem
+	*/
+	compile() {
+		let dimensions = Object.keys(this).map(dimension => [ dimension, this[dimension].compile() ]);
+		return item => {
+			let result = true;
+			for (let [dimension, range] of dimensions) {
+				let contains = range(item[dimension]);
+				if (contains === null) result = null;
+				else if (!contains) return false;
+			}
+			return result;
+		};
+	}
+
+	/** Check whether this cube has a dimension with no possible values
+	* @returns true if some range in this cube is null, undefined or empty, null if this depends on parameter values
+	*/
+	isEmpty() {
+		return Stream.fromProperties(this).some(([dimension,range]) => range === null || range === undefined || range.isEmpty());
+	}
+
+	/** Find a single cube containing all the items in this cube or another
+	*
+	* Cubes can be combined if one contains the other, or if they differ only in one dimension and
+	* the ranges in that dimension can be combined by Range.union.
+	*
+	* @param {Cube} other - another cube
+	* @returns {Cube} a cube containing exactly the items in this cube or other, or null if no such cube can be found
+	*/
+	union(other) {
+		if (this.contains(other) === true) return this;
+		if (other.contains(this) === true) return other;
+
+		let dimensions = new Set([ ...Object.keys(this), ...Object.keys(other) ]);
+		let differing = Array.from(dimensions).filter(dimension => 
+			!this[dimension] || !other[dimension] || this[dimension].equals(other[dimension]) !== true
+		);
+		if (differing.length !== 1) return null;
+
+		let dimension = differing[0];
+		if (!this[dimension] || !other[dimension]) return null;
+		let range = Range.union(this[dimension], other[dimension]);
+		return range ? Object.assign(new Cube(), this, { [dimension] : range }) : null;
+	}
+
+	/** Remove a constraint from this cube which is redundant in a union with another cube
+	*
+	* Where the other cube contains this cube in every dimension but one, and the ranges of the two cubes in
+	* that dimension together contain every value, the constraint on that dimension is redundant. Thus the
+	* union of `{ x: { $exists: false } }` and `{ x: { $exists: true }, y: 2 }` is equal to the union of 
+	* `{ x: { $exists: false } }` and `{ y: 2 }`.
+	*
+	* @param {Cube} other - another cube
+	* @returns {Cube} this cube with the redundant constraint removed, or null if there is none
+	*/
+	absorb(other) {
+		let differing = Stream.fromProperties(other)
+			.filter(([dimension,range]) => !this[dimension] || range.contains(this[dimension]) !== true)
+			.map(([dimension,range]) => dimension)
+			.toArray();
+		if (differing.length !== 1) return null;
+
+		let dimension = differing[0];
+		if (!this[dimension]) return null;
+		let range = Range.union(this[dimension], other[dimension]);
+		if (!range || range.operator !== Range.UNBOUNDED.operator) return null;
+
+		let result = Object.assign(new Cube(), this);
+		delete result[dimension];
+		return result;
+	}
+
 	intersect(other) {
 
 		let result = Object.assign(new Cube(), this, other);
@@ -53,6 +128,28 @@ class Cube {
 		return result;
 	}
 
+	// Slice this cube one dimension at a time; each slice holds the values outside other in that dimension,
+	// restricted to the values inside other in all previous dimensions. The slices are therefore disjoint.
+	difference(other) {
+		if (other.contains(this) === true) return [];
+		if (!this.intersect(other)) return [ this ];
+
+		let result = [];
+		let current = this;
+
+		for (let dimension in other) {
+			let this_range = current[dimension] || Range.UNBOUNDED;
+			for (let range of Range.difference(this_range, other[dimension])) {
+				result.push(Object.assign(new Cube(), current, { [dimension] : range }));
+			}
+			let common = this_range.intersect(other[dimension]);
+			if (common === null) break;
+			current = Object.assign(new Cube(), current, { [dimension] : common });
+		}
+
+		return result;
+	}
+
 	removeConstraint(dimension, range) {
 		if (this[dimension].equals(range)) {
 			delete this[dimension];
@@ -72,6 +169,12 @@ class Cube {
 		return '{ ' + Stream.fromProperties(this).map(([k,v])=>`${k}:${v}`).join(', ') + ' }';
 	}
 
+	toJSON() {
+		let result = {};
+		Stream.fromProperties(this).forEach(([dimension,range]) => result[dimension] = range.toJSON());
+		return result;
+	}
+
 	toExpression(formatter, context) {
 		return formatter.andExpr(
 			...Stream.fromProperties(this).map(
@@ -0,0 +1,40 @@
+/** Error thrown when a query exceeds one of the limits in Query.limits
+*
+* @property {string} limit - name of the limit which was exceeded (e.g. 'max_cubes')
+* @property {number} value - the value of the limit
+*/
+class QueryComplexityError extends Error {
+
+	/** Create a query complexity error
+	*
+	* @param {string} limit - name of the limit which was exceeded
+	* @param {number} value - the value of the limit
+	* @param {string} message - description of the problem
+	*/
+	constructor(limit, value, message) {
+		super(message);
+		this.name = 'QueryComplexityError';
+		this.limit = limit;
+		this.value = value;
+	}
+}
+
+/** Error thrown when a value bound to a parameter is invalid, or a required parameter has no value
+*
+* @property {string} parameter - name of the parameter
+*/
+class ParameterError extends Error {
+
+	/** Create a parameter error
+	*
+	* @param {string} parameter - name of the parameter
+	* @param {string} message - description of the problem
+	*/
+	constructor(parameter, message) {
+		super(message);
+		this.name = 'ParameterError';
+		this.parameter = parameter;
+	}
+}
+
+module.exports = { QueryComplexityError, ParameterError };
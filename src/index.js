@@ -1,5 +1,10 @@
 const Range = require('./range');
 const Query = require('./query');
+const SqlFormatter = require('./sql');
+const MongoFormatter = require('./mongo');
+const IndexedDbPlanner = require('./indexeddb');
+const QueryCache = require('./cache');
 const { Param, $ } = require('./param')
+const { QueryComplexityError, ParameterError } = require('./errors');
 
-module.exports = { Query, Range, Param, $ };
\ No newline at end of file
+module.exports = { Query, Range, Param, $, SqlFormatter, MongoFormatter, IndexedDbPlanner, QueryCache, QueryComplexityError, ParameterError };
\ No newline at end of file
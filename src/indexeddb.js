@@ -0,0 +1,190 @@
+const { Stream } = require('iterator-plumbing');
+const Range = require('./range');
+const Query = require('./query');
+
+/** Description of a key range, which can be converted into an IDBKeyRange
+*
+* If lower or upper is undefined, the key range is unbounded in that direction.
+*
+* @typedef {Object} IndexedDbPlanner~KeyRange
+* @property {*} lower - lower bound
+* @property {*} upper - upper bound
+* @property {boolean} lowerOpen - true if the lower bound is excluded from the range
+* @property {boolean} upperOpen - true if the upper bound is excluded from the range
+*/
+
+/** Plan for retrieving the data selected by a single cube of a query
+*
+* @typedef {Object} IndexedDbPlanner~Plan
+* @property {string} index - name of index to use, or null if the object store must be scanned
+* @property {IndexedDbPlanner~KeyRange} range - key range to retrieve from the index, or null if the whole index must be scanned
+* @property {Query} residual - query which must be applied (with its predicate) to the retrieved items
+*/
+
+/** Check if a value is a valid IndexedDB key
+*
+* @private
+*/
+function isValidKey(value) {
+	if (typeof value === 'number') return !isNaN(value);
+	if (typeof value === 'string') return true;
+	if (value instanceof Date) return !isNaN(value.getTime());
+	if (Array.isArray(value)) return value.every(isValidKey);
+	return false;
+}
+
+/** Get the type of a valid key
+*
+* IndexedDB sorts numbers before dates, then strings, then arrays, so a key range bounded by a key of one type may
+* contain keys of other types. Arrays are compared element by element, not as Range.DEFAULT_ORDER compares them.
+*
+* @private
+* @returns {string} 'number', 'date', 'string' or 'array'
+*/
+function keyType(value) {
+	if (value instanceof Date) return 'date';
+	if (Array.isArray(value)) return 'array';
+	return typeof value;
+}
+
+/** Get a key range containing all the values in a range
+*
+* @private
+* @param {Range} range - range to convert
+* @returns {Object} key range and whether it contains exactly the values in range, or null if no key range can be found
+*/
+function keyRangeOf(range) {
+	if (range.comparator && range.comparator.order !== Range.DEFAULT_ORDER) return null;
+	switch (range.operator) {
+		case '=':
+			return isValidKey(range.value) ? { key_range: { lower: range.value, upper: range.value, lowerOpen: false, upperOpen: false }, exact: true } : null;
+		case '<':
+		case '<=':
+			// Only numbers sort before a number
+			return isValidKey(range.value) ? { key_range: { lower: undefined, upper: range.value, lowerOpen: false, upperOpen: range.operator === '<' }, exact: keyType(range.value) === 'number' } : null;
+		case '>':
+		case '>=':
+			// Keys of any type which sorts after the bound are also in the key range
+			return isValidKey(range.value) ? { key_range: { lower: range.value, upper: undefined, lowerOpen: range.operator === '>', upperOpen: false }, exact: false } : null;
+		case 'between': {
+			let lower = keyRangeOf(range.lower_bound);
+			let upper = keyRangeOf(range.upper_bound);
+			if (!lower || !upper) return lower || upper ? { key_range: (lower || upper).key_range, exact: false } : null;
+			let type = keyType(range.lower_bound.value);
+			return {
+				key_range: { lower: lower.key_range.lower, upper: upper.key_range.upper, lowerOpen: lower.key_range.lowerOpen, upperOpen: upper.key_range.upperOpen },
+				exact: type === keyType(range.upper_bound.value) && type !== 'array'
+			};
+		}
+		case 'prefix': {
+			let between = range.toBetween();
+			return between ? keyRangeOf(between) : null;
+		}
+		case 'in': {
+			// Use the smallest key range which contains all the values
+			if (!range.values.every(isValidKey)) return null;
+			let lower = range.values.reduce((min, value) => range.comparator.lessThan(value, min) ? value : min);
+			let upper = range.values.reduce((max, value) => range.comparator.greaterThan(value, max) ? value : max);
+			return { key_range: { lower, upper, lowerOpen: false, upperOpen: false }, exact: false };
+		}
+		case '$and':
+			return inexact(keyRangeOf(range.known_bounds));
+		case '$not':
+		case 'regex':
+		case 'like':
+			return inexact(keyRangeOf(range.bounds));
+		default:
+			return null;
+	}
+}
+
+/** @private */
+function inexact(result) {
+	return result && { key_range: result.key_range, exact: false };
+}
+
+/** Score a key range; higher scores should select fewer items.
+*
+* @private
+*/
+function score({ key_range, exact }) {
+	let result = key_range.lower !== undefined && key_range.upper !== undefined ? 2 : 1;
+	if (result === 2 && key_range.lower === key_range.upper) result = 3;
+	return result * 2 + (exact ? 1 : 0);
+}
+
+/** Plans retrieval of data selected by a query from an IndexedDB object store.
+*
+* For each cube in the query, the planner picks the index which (heuristically) will retrieve the fewest items,
+* and produces a key range to retrieve from that index along with a residual query which must be applied to
+* the retrieved items. A constraint which can be expressed exactly as a key range is removed from the residual
+* query.
+*
+* Since the cubes in a query may overlap, the same item may be retrieved by more than one plan. Parametrized
+* ranges are never used to select an index; bind the query's parameters before planning.
+*
+* @example
+* let planner = new IndexedDbPlanner(['age', 'name']);
+* for (let { index, range, residual } of planner.plan(query)) {
+*	let source = index ? store.index(index) : store;
+*	let request = source.openCursor(IndexedDbPlanner.toKeyRange(range, IDBKeyRange));
+*	// ... filter results with residual.predicate
+* }
+*/
+class IndexedDbPlanner {
+
+	/** Create a planner
+	*
+	* @param {string[]} indexes - names of available indexes, in order of preference. Each index name must be the
+	* same as the key path of the index, which must be a property name in the object store.
+	*/
+	constructor(indexes) {
+		this.indexes = indexes;
+	}
+
+	/** Plan retrieval of data selected by a query
+	*
+	* @param {Query} query - query to plan
+	* @returns {IndexedDbPlanner~Plan[]} one plan for each cube in the query
+	*/
+	plan(query) {
+		return query.union.map(cube => this.planCube(cube));
+	}
+
+	/** Plan retrieval of data selected by a single cube
+	* @private
+	*/
+	planCube(cube) {
+		let best = null;
+		for (let index of this.indexes) {
+			if (!cube[index]) continue;
+			let candidate = keyRangeOf(cube[index]);
+			if (candidate && (!best || score(candidate) > score(best))) best = Object.assign({ index }, candidate);
+		}
+
+		if (!best) return { index: null, range: null, residual: new Query([ cube ]) };
+
+		let constraints = {};
+		Stream.fromProperties(cube)
+			.filter(([dimension,range]) => !best.exact || dimension !== best.index)
+			.forEach(([dimension,range]) => constraints[dimension] = range);
+
+		return { index: best.index, range: best.key_range, residual: Query.from(constraints) };
+	}
+
+	/** Convert a key range description into an IDBKeyRange
+	*
+	* @param {IndexedDbPlanner~KeyRange} range - key range description
+	* @param {Function} IDBKeyRange - the IDBKeyRange class (or some compatible stand-in)
+	* @returns {IDBKeyRange} a key range, or undefined if range is null (which selects all keys)
+	*/
+	static toKeyRange(range, IDBKeyRange) {
+		if (range === null) return undefined;
+		if (range.lower === undefined) return IDBKeyRange.upperBound(range.upper, range.upperOpen);
+		if (range.upper === undefined) return IDBKeyRange.lowerBound(range.lower, range.lowerOpen);
+		if (range.lower === range.upper) return IDBKeyRange.only(range.lower);
+		return IDBKeyRange.bound(range.lower, range.upper, range.lowerOpen, range.upperOpen);
+	}
+}
+
+module.exports = IndexedDbPlanner;
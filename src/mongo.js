@@ -0,0 +1,335 @@
+const { Param } = require('./param');
+const Range = require('./range');
+const Query = require('./query');
+
+/** Map simple range operators to Mongo operators
+*
+* @private
+*/
+const MONGO_OPERATORS = {
+	'<' : '$lt',
+	'<=' : '$lte',
+	'>' : '$gt',
+	'>=' : '$gte'
+};
+
+/** Map Mongo operators to range operators, for operators which need no special handling
+*
+* @private
+*/
+const RANGE_OPERATORS = {
+	'$lt' : '<',
+	'$lte' : '<=',
+	'$gt' : '>',
+	'$gte' : '>=',
+	'$eq' : '='
+};
+
+/** Escape characters with special meaning in a regular expression
+*
+* @private
+*/
+function escapeRegExp(value) {
+	return value.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+}
+
+/** Check if the values of an $in or $nin range are a single parameter bound to an array
+*
+* @private
+*/
+function isCollection(values) {
+	return values.length === 1 && Param.isParam(values[0]) && values[0].type === 'array';
+}
+
+/** Check if a value is an object containing only Mongo operators (e.g. { $gte: 1, $lt: 5 })
+*
+* @private
+*/
+function isOperatorObject(value) {
+	if (value === null || typeof value !== 'object' || Array.isArray(value) || value instanceof RegExp || Param.isParam(value))
+		return false;
+	let keys = Object.keys(value);
+	return keys.length > 0 && keys.every(key => key.startsWith('$') && key !== '$');
+}
+
+/** Convert a condition on a field in a Mongo filter into ranges
+*
+* Usually there is just one range; but Mongo's `{ $in: [1, null] }` matches 1, null, or a missing value, which is the
+* union of `{ $in: [1] }` and a null check, and can't be expressed as a single range.
+*
+* @private
+* @param condition - condition on a field in a Mongo filter
+* @returns {Range[]} ranges whose union is equivalent to condition; empty if the condition can never be satisfied
+*/
+function fieldRanges(condition) {
+	let ranges;
+	if (isOperatorObject(condition) && Array.isArray(condition.$in) && condition.$in.includes(null)) {
+		let others = Object.assign({}, condition);
+		delete others.$in;
+		let nulls = Object.keys(others).length === 0 ? Range.isNull() : MongoFormatter.parseCondition(others);
+		ranges = [
+			MongoFormatter.parseCondition(Object.assign({}, condition, { $in: condition.$in.filter(item => item !== null) })),
+			nulls && nulls.intersect(Range.isNull())
+		];
+	} else {
+		ranges = [ MongoFormatter.parseCondition(condition) ];
+	}
+	return ranges.filter(range => range !== null);
+}
+
+/** Merge a Mongo filter into another, if the filters have no conditions in common
+*
+* Conditions on the same field are merged if both are operator objects with no operators in common. Thus
+* `{ x: { $gte: 1 } }` and `{ x: { $lt: 5 } }` merge to `{ x: { $gte: 1, $lt: 5 } }`.
+*
+* @private
+* @returns {boolean} true if filter was merged into result, false if result is unchanged
+*/
+function mergeFilter(result, filter) {
+	let merged = {};
+	for (let key of Object.keys(filter)) {
+		if (result[key] === undefined) {
+			merged[key] = filter[key];
+		} else if (!key.startsWith('$') && isOperatorObject(result[key]) && isOperatorObject(filter[key])
+			&& Object.keys(filter[key]).every(operator => result[key][operator] === undefined)) {
+			merged[key] = Object.assign({}, result[key], filter[key]);
+		} else {
+			return false;
+		}
+	}
+	Object.assign(result, merged);
+	return true;
+}
+
+/** Formatter which creates a MongoDB filter object from a query.
+*
+* The result of `query.toExpression(new MongoFormatter())` is an object that can be passed directly to
+* MongoDB `find`. Conditions on subquery properties become dotted paths, and `$has` becomes `$elemMatch`.
+* Unbound query parameters are included in the filter as Param objects.
+*
+* Constraints on values in abstract query never match missing or null values, even when negated. Since
+* Mongo's `$ne`, `$nin` and `$not` do match missing and null values, null is added to `$nin` (or `$ne: null`
+* is added to `$not`) when a negated constraint is formatted.
+*
+* Use MongoFormatter.parse to convert a Mongo filter back into a query.
+*
+* @implements {QueryFormatter}
+*/
+class MongoFormatter {
+
+	/** Get the dotted path of a field
+	*
+	* A null dimension refers to the elements of an array in an $elemMatch, and has an empty path.
+	*
+	* @param {string} dimension - name of field
+	* @param {QueryFormatter~Context} context - context of parent queries
+	* @returns {string} dotted path
+	*/
+	path(dimension, context) {
+		if (dimension === null) return '';
+		let result = dimension;
+		while (context && context.dimension) {
+			result = context.dimension + '.' + result;
+			context = context.context;
+		}
+		return result;
+	}
+
+	andExpr(...ands) {
+		let result = {};
+		let rest = [];
+		for (let and of ands) {
+			let keys = Object.keys(and);
+			let parts = keys.length === 1 && keys[0] === '$and' ? and.$and : [ and ];
+			for (let part of parts) {
+				if (!mergeFilter(result, part)) rest.push(part);
+			}
+		}
+		if (rest.length === 0) return result;
+		return { $and : Object.keys(result).length > 0 ? [ result, ...rest ] : rest };
+	}
+
+	orExpr(...ors) {
+		if (ors.length === 1) return ors[0];
+		return { $or : ors.reduce((result, or) =>
+			result.concat(Object.keys(or).length === 1 && or.$or ? or.$or : [ or ]),
+			[]
+		) };
+	}
+
+	operExpr(dimension, operator, value, context) {
+		if (operator === 'match') return value;
+
+		let path = this.path(dimension, context);
+
+		if (MONGO_OPERATORS[operator])
+			return { [path] : { [MONGO_OPERATORS[operator]] : value } };
+
+		switch (operator) {
+			case '=':
+				return { [path] : value === null || typeof value === 'object' ? { $eq : value } : value };
+			case '!=':
+				return { [path] : { $nin : [ value, null ] } };
+			case 'in':
+				return { [path] : { $in : isCollection(value) ? value[0] : value } };
+			case 'nin':
+				if (isCollection(value)) return { [path] : { $nin : value[0], $ne : null } };
+				return { [path] : { $nin : [ ...value, null ] } };
+			case 'exists':
+				return { [path] : { $exists : value } };
+			case 'null':
+				return { [path] : value ? null : { $ne : null } };
+			case 'prefix':
+				if (Param.isParam(value)) throw new RangeError(`Parametrized prefix not supported: ${value}`);
+				return { [path] : { $regex : new RegExp('^' + escapeRegExp(value)) } };
+			case 'like':
+				if (Param.isParam(value)) throw new RangeError(`Parametrized like not supported: ${value}`);
+				return { [path] : { $regex : Range.like(value).regexp } };
+			case 'regex':
+				return { [path] : { $regex : value } };
+			case 'has': {
+				// Conditions on array elements themselves have an empty path, and must be operator objects
+				let keys = Object.keys(value);
+				if (keys.length === 1 && keys[0] === '') 
+					value = isOperatorObject(value['']) ? value[''] : { $eq : value[''] };
+				return { [path] : { $elemMatch : value } };
+			}
+			case 'hasAll':
+				return { [path] : { $all : value } };
+			case 'not': {
+				let keys = Object.keys(value);
+				if (keys.length === 1 && keys[0] === path && isOperatorObject(value[path]))
+					return { [path] : { $not : value[path], $ne : null } };
+				return this.andExpr({ $nor : [ value ] }, { [path] : { $ne : null } });
+			}
+			default:
+				throw new RangeError(`Unsupported operator: ${operator}`);
+		}
+	}
+
+	/** Convert a Mongo filter object into a query.
+	*
+	* Supports `$and`, `$or`, `$nor`, dotted paths, and the field operators `$eq`, `$ne`, `$lt`, `$lte`, `$gt`, `$gte`,
+	* `$in`, `$nin`, `$exists`, `$regex`/`$options`, `$not`, `$elemMatch` and `$all`. Note that `$ne`, `$nin` and `$not`
+	* are treated as matching only values which are present and not null (see MongoFormatter). An `$in` containing
+	* null also matches missing and null values, as it does in Mongo.
+	*
+	* @param {Object} filter - a Mongo filter
+	* @returns {Query} a query
+	* @throws {RangeError} if the filter contains an unsupported operator
+	*/
+	static parse(filter) {
+		let result = Query.from({});
+		for (let key of Object.keys(filter)) {
+			let value = filter[key];
+			switch (key) {
+				case '$and':
+					result = value.reduce((query, item) => query.and(MongoFormatter.parse(item)), result);
+					break;
+				case '$or':
+					result = result.and(value.reduce((query, item) => query.or(MongoFormatter.parse(item)), new Query()));
+					break;
+				case '$nor':
+					result = result.and(value.reduce((query, item) => query.and(MongoFormatter.parse(item).not()), Query.from({})));
+					break;
+				default: {
+					if (key.startsWith('$')) throw new RangeError(`Unsupported operator: ${key}`);
+					let query = fieldRanges(value)
+						.map(range => Query.from(key.split('.').reduceRight((constraint, dimension) => ({ [dimension] : constraint }), range)))
+						.reduce((union, query) => union.or(query), new Query());
+					if (query.union.length === 0) return query;
+					result = result.and(query);
+				}
+			}
+		}
+		return result;
+	}
+
+	/** Convert the condition on a field in a Mongo filter into a range.
+	*
+	* @param {Object} condition - value or operator object
+	* @returns {Range} a range, or null if the condition can never be satisfied
+	* @throws {RangeError} if the condition contains an unsupported operator
+	*/
+	static parseCondition(condition) {
+		if (condition === null) return Range.isNull();
+		if (condition instanceof RegExp) return MongoFormatter.parseRegExp(condition);
+		if (typeof condition !== 'object') return Range.equals(condition);
+		if (Param.isParam(condition) || Param.isParamObject(condition)) return Range.equals(condition);
+		if (!isOperatorObject(condition)) return Range.from(condition);
+
+		let range = Range.UNBOUNDED;
+		for (let operator of Object.keys(condition)) {
+			if (range === null) break;
+			let value = condition[operator];
+			let constraint;
+			if (RANGE_OPERATORS[operator]) {
+				constraint = value === null ? Range.isNull() : Range.fromBounds({ [RANGE_OPERATORS[operator]] : value });
+			} else {
+				switch (operator) {
+					case '$ne':
+						constraint = value === null ? Range.isNull(false) : Range.notEquals(value);
+						break;
+					case '$in':
+						if (Param.isParamObject(value)) {
+							constraint = Range.in(value);
+							break;
+						}
+						if (value.some(item => item === null)) throw new RangeError('$in with null is only supported on a field');
+						constraint = Range.in(value);
+						break;
+					case '$nin':
+						constraint = Range.nin(Param.isParamObject(value) ? value : value.filter(item => item !== null));
+						if (constraint.operator === Range.UNBOUNDED.operator) constraint = Range.isNull(false);
+						break;
+					case '$exists':
+						constraint = Range.exists(value);
+						break;
+					case '$regex':
+						constraint = value instanceof RegExp && condition.$options === undefined
+							? MongoFormatter.parseRegExp(value)
+							: Range.regex(Param.isParamObject(value) ? value : new RegExp(value instanceof RegExp ? value.source : value, condition.$options));
+						break;
+					case '$options':
+						constraint = Range.UNBOUNDED;
+						break;
+					case '$not':
+						constraint = MongoFormatter.parseCondition(value);
+						constraint = constraint === null ? Range.UNBOUNDED : Range.not(constraint);
+						break;
+					case '$elemMatch':
+						constraint = Range.has(isOperatorObject(value)
+							? MongoFormatter.parseCondition(value)
+							: Range.subquery(MongoFormatter.parse(value)));
+						break;
+					case '$all':
+						constraint = Range.hasAll(Param.isParamObject(value) ? value : value.map(item =>
+							item !== null && typeof item === 'object' && item.$elemMatch
+								? MongoFormatter.parseCondition(item).bounds[0]
+								: MongoFormatter.parseCondition(item)
+						));
+						break;
+					default:
+						throw new RangeError(`Unsupported operator: ${operator}`);
+				}
+			}
+			range = constraint === null ? null : range.intersect(constraint);
+		}
+		return range;
+	}
+
+	/** Convert a regular expression into a range
+	*
+	* A regular expression which simply matches a literal prefix is converted into Range.startsWith.
+	*
+	* @param {RegExp} regexp - a regular expression
+	* @returns {Range} a range
+	*/
+	static parseRegExp(regexp) {
+		let prefix = /^\^((?:[^.*+?^${}()|[\]\\\/]|\\[.*+?^${}()|[\]\\\/])*)$/.exec(regexp.source);
+		if (prefix && !regexp.flags.replace(/[gy]/g, '')) return Range.startsWith(prefix[1].replace(/\\(.)/g, '$1'));
+		return Range.regex(regexp);
+	}
+}
+
+module.exports = MongoFormatter;
@@ -1,28 +1,237 @@
+const { ParameterError } = require('./errors');
 
 /** @typedef {Object} Param~ParamObject
 * @property {string} $ - the name of the parameter
+* @property {string} [type] - the type of the parameter; one of 'number', 'string', 'boolean', 'date' or 'array'
+* @property {boolean} [required] - true if a value must be supplied for the parameter when a query is bound
+* @property [default] - value used for the parameter when a query is bound without a value for it
+* @property {number} [scale] - for a parameter expression, the amount the value of the parameter is multiplied by
+* @property {number} [offset] - for a parameter expression, the amount added to the value of the parameter
+* @property {boolean} [date] - for a parameter expression, true if offset is a number of milliseconds to add to a date
 */ 
 
+/** Checks for each parameter type
+* @private
+*/
+const TYPES = {
+	number: value => typeof value === 'number' && !isNaN(value),
+	string: value => typeof value === 'string',
+	boolean: value => typeof value === 'boolean',
+	date: value => value instanceof Date && !isNaN(value.getTime()),
+	array: value => Array.isArray(value)
+};
+
+/** Size of the units which can be used for date offsets, in milliseconds. A day is always 24 hours.
+* @private
+*/
+const DATE_UNITS = {
+	milliseconds: 1,
+	seconds: 1000,
+	minutes: 60 * 1000,
+	hours: 60 * 60 * 1000,
+	days: 24 * 60 * 60 * 1000,
+	weeks: 7 * 24 * 60 * 60 * 1000
+};
+
+/** Property which, when set in a set of parameter values, leaves required parameters without a value unbound
+* rather than throwing an error; used by Query.bindPartial
+* @private
+*/
+const PARTIAL = Symbol('partial');
+
+/** Describe the type of a value for an error message
+* @private
+*/
+function typeOf(value) {
+	if (typeof value === 'number' && isNaN(value)) return 'NaN';
+	if (value instanceof Date && isNaN(value.getTime())) return 'invalid date';
+	return value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+}
+
+/** Compare two default values, which may be Dates
+* @private
+*/
+function sameValue(a, b) {
+	if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+	return a === b;
+}
+
+/** Describe a parameter type for an error message, e.g. 'a number' or 'an array'
+* @private
+*/
+function describeType(type) {
+	return (/^[aeiou]/.test(type) ? 'an ' : 'a ') + type;
+}
+
 /** Class representing a query parameter than can be set later.
+*
+* Parameters may be given a type, a default value, or be marked as required; thus `$.min_age.number().default(18)`
+* is a parameter which must be bound to a number, and which is bound to 18 if no other value is given. Query.bind
+* will throw a ParameterError if a value of the wrong type is given or if no value is given for a required parameter.
+*
+* A parameter used in place of a set of values, as in `{ tags: { $in: $.tags } }`, has the type 'array'.
 */
 class Param {
 
 	/** Create a new query parameter
 	*
 	* @param {string} name - the name of the query parameter 
+	* @param {Object} [options] - options
+	* @param {string} [options.type] - the type of the parameter; one of 'number', 'string', 'boolean', 'date' or 'array'
+	* @param {boolean} [options.required=false] - true if a value must be supplied when the parameter is bound
+	* @param [options.default] - value used when the parameter is bound without a value
 	*/
-	constructor(name) {
+	constructor(name, { type, required = false, default: default_value } = {}) {
+		if (type !== undefined && !TYPES[type]) throw new RangeError(`Unknown parameter type: ${type}`);
 		this.$ = name;
+		this.type = type;
+		this.is_required = required;
+		this.default_value = default_value;
+		if (default_value !== undefined && !this.accepts(default_value)) 
+			throw new ParameterError(name, `Default value for parameter ${this} must be ${describeType(type)}`);
 	}
 
 	/** Create a new query parameter
 	*	
+	* A date default in a ParamObject may be given as an ISO date string, as it is in the output of toJSON.
+	*
 	* @param {string|ParamObject} name - the name of the query parameter 
 	*/
 	static from(name) {
 		if (!name) throw new RangeError("Param.from must be supplied with a valid name");
 		if (typeof name === 'string') return new Param(name);
-		if (typeof name === 'object' && name.$) return new Param(name.$);
+		if (Param.isParam(name)) return name;
+		if (typeof name === 'object' && name.$) {
+			let options = name;
+			if (name.type === 'date' && typeof name.default === 'string') options = Object.assign({}, name, { default: new Date(name.default) });
+			let param = new Param(name.$, options);
+			if (name.scale === undefined && name.offset === undefined) return param;
+			return param._linear(name.scale === undefined ? 1 : name.scale, name.offset || 0, !!name.date);
+		}
+	}
+
+	/** Create a copy of this parameter with some options changed
+	* @private
+	*/
+	_with(options) {
+		return new Param(this.$, Object.assign({ type: this.type, required: this.is_required, default: this.default_value }, options));
+	}
+
+	/** @returns {Param} a copy of this parameter which must be bound to a number */
+	number() 			{ return this._with({ type: 'number' }); }
+	/** @returns {Param} a copy of this parameter which must be bound to a string */
+	string() 			{ return this._with({ type: 'string' }); }
+	/** @returns {Param} a copy of this parameter which must be bound to a boolean */
+	boolean() 			{ return this._with({ type: 'boolean' }); }
+	/** @returns {Param} a copy of this parameter which must be bound to a Date */
+	date() 				{ return this._with({ type: 'date' }); }
+	/** @returns {Param} a copy of this parameter which must be bound to an array */
+	array() 			{ return this._with({ type: 'array' }); }
+	/** @returns {Param} a copy of this parameter which must be given a value when it is bound */
+	required() 			{ return this._with({ required: true }); }
+	/** @returns {Param} a copy of this parameter which is bound to value if no other value is given */
+	default(value) 		{ return this._with({ default: value }); }
+
+	/** Create an expression which adds an amount to the value of this parameter
+	*
+	* If a unit is given, the parameter must be bound to a Date, and the amount is a number of milliseconds, seconds, 
+	* minutes, hours, days or weeks to add to the date. Thus `$.start.add(7, 'days')` is a week after the date bound to
+	* $start. The amount must come to a whole number of milliseconds.
+	*
+	* @param {number} amount - amount to add
+	* @param {string} [unit] - 'milliseconds', 'seconds', 'minutes', 'hours', 'days' or 'weeks'
+	* @returns {Param} a parameter expression
+	*/
+	add(amount, unit) {
+		if (unit === undefined) return this._linear(1, amount, false);
+		if (!DATE_UNITS[unit]) throw new RangeError(`Unknown unit: ${unit}`);
+		return this._linear(1, amount * DATE_UNITS[unit], true);
+	}
+
+	/** Create an expression which subtracts an amount from the value of this parameter
+	*
+	* @param {number} amount - amount to subtract
+	* @param {string} [unit] - 'milliseconds', 'seconds', 'minutes', 'hours', 'days' or 'weeks'
+	* @returns {Param} a parameter expression
+	*/
+	subtract(amount, unit) {
+		return this.add(-amount, unit);
+	}
+
+	/** Create an expression which multiplies the value of this parameter by some factor
+	*
+	* @param {number} factor - factor to multiply by
+	* @returns {Param} a parameter expression
+	*/
+	multiply(factor) {
+		return this._linear(factor, 0, false);
+	}
+
+	/** Create an expression equal to the value of this parameter, multiplied by scale, plus offset
+	* @private
+	*/
+	_linear(scale, offset, is_date) {
+		if (!Number.isFinite(scale) || !Number.isFinite(offset)) throw new TypeError('Parameter expressions require finite numbers');
+		if (is_date && !Number.isInteger(offset)) throw new RangeError(`Date offsets must be a whole number of milliseconds (got ${offset})`);
+		let type = is_date ? 'date' : 'number';
+		if (this.type !== undefined && this.type !== type) throw new RangeError(`Can't use ${this} in a ${type} expression`);
+		if (scale === 1 && offset === 0) return this;
+		return new ParamExpression(this, scale, offset, is_date);
+	}
+
+	/** Key identifying this parameter, or this parameter expression
+	*
+	* Parameters have equal keys only if they are equal; the key of an untyped parameter is just its name.
+	*
+	* @returns {string} the parameter name, or the expression, followed by any options as JSON
+	*/
+	get key() {
+		let name = this.scale === undefined ? this.$ : this.toString();
+		return this._sameOptions(new Param(this.$)) ? name : name + JSON.stringify(this.toJSON());
+	}
+
+	/** Find the difference between the values of two parameters, where this doesn't depend on the values bound to them
+	*
+	* Thus the difference between `$.a.add(5)` and `$.a.add(2)` is 3.
+	*
+	* @param {Param} a - a parameter or parameter expression
+	* @param {Param} b - a parameter or parameter expression
+	* @returns {number} the value of a less the value of b, or undefined if this depends on the values bound
+	*/
+	static difference(a, b) {
+		const scale = param => param.scale === undefined ? 1 : param.scale;
+		if (a.$ !== b.$ || !a._sameOptions(b) || scale(a) !== scale(b)) return undefined;
+		return (a.offset || 0) - (b.offset || 0);
+	}
+
+	/** Check whether a value may be bound to this parameter
+	*
+	* If value is itself a parameter, it is accepted unless both parameters have a type and the types differ.
+	*
+	* @param value - value to check
+	* @returns {boolean} true if value is acceptable for this parameter's type
+	*/
+	accepts(value) {
+		if (this.type === undefined) return true;
+		if (Param.isParam(value)) return value.type === undefined || value.type === this.type;
+		return TYPES[this.type](value);
+	}
+
+	/** Get the value of this parameter from a set of parameter values
+	*
+	* @param {Object} parameters - parameter values, by name
+	* @returns the value of this parameter, the default value if none is given, or undefined
+	* @throws {ParameterError} if the value is of the wrong type, or no value is given for a required parameter
+	*/
+	valueFrom(parameters) {
+		let value = parameters[this.$];
+		if (value === undefined) {
+			if (this.is_required && !parameters[PARTIAL]) throw new ParameterError(this.$, `Parameter ${this} is required`);
+			return this.default_value;
+		}
+		if (!this.accepts(value)) 
+			throw new ParameterError(this.$, `Parameter ${this} must be ${describeType(this.type)} (got ${typeOf(value)})`);
+		return value;
 	}
 
 	/** Check in an object is a paramter
@@ -35,17 +244,26 @@ class Param {
 	}
 
 	static isParamObject(obj) {
-		return obj.$ !== undefined;
+		return obj !== null && obj !== undefined && obj.$ !== undefined;
+	}
+
+	/** Check whether another parameter has the same type, default value, and required flag as this one
+	* @private
+	*/
+	_sameOptions(param) {
+		return param.type === this.type && param.is_required === this.is_required && sameValue(param.default_value, this.default_value);
 	}
 
 	/** Compare parameters
 	*
-	* Parameters are considered equal if their names are equal.
+	* Parameters are considered equal if their names, types, default values and required flags are equal, and any 
+	* arithmetic applied to them is the same.
 	* @param {Param} other parameter to compare to this one
-	* @returns true if other.name equals this.name; false otherwise.
+	* @returns true if other is the same parameter as this one; false otherwise.
 	*/
 	equals(param) {
-		return param.$ === this.$;
+		return param.$ === this.$ && this._sameOptions(param) 
+			&& param.scale === this.scale && param.offset === this.offset && param.is_date === this.is_date;
 	}
 
 	/** Convert parameter to a string
@@ -55,6 +273,82 @@ class Param {
 	toString() {
 		return '$' + this.$;
 	}
+
+	/** Convert parameter to JSON
+	*
+	* @returns {Param~ParamObject} an object which can be passed to Param.from to create an equal parameter
+	*/
+	toJSON() {
+		let json = { $: this.$ };
+		if (this.type !== undefined) json.type = this.type;
+		if (this.is_required) json.required = true;
+		if (this.default_value !== undefined) json.default = this.default_value;
+		return json;
+	}
+}
+
+/** A parameter expression, which is the value of some parameter multiplied by a scale and with an offset added.
+*
+* Use Param.add, subtract, and multiply to create parameter expressions.
+*
+* @private
+*/
+class ParamExpression extends Param {
+
+	/** Create a parameter expression
+	*
+	* @param {Param} param - the parameter
+	* @param {number} scale - the amount to multiply the parameter value by
+	* @param {number} offset - the amount to add to the parameter value (after multiplying by scale)
+	* @param {boolean} is_date - true if offset is a number of milliseconds to add to a date
+	*/
+	constructor(param, scale, offset, is_date) {
+		super(param.$, { type: param.type, required: param.is_required, default: param.default_value });
+		this.param = param;
+		this.scale = scale;
+		this.offset = offset;
+		this.is_date = is_date;
+	}
+
+	_with(options) {
+		return this.param._with(options)._linear(this.scale, this.offset, this.is_date);
+	}
+
+	_linear(scale, offset, is_date) {
+		if (is_date !== this.is_date) throw new RangeError(`Can't mix date offsets and arithmetic in ${this}`);
+		return this.param._linear(this.scale * scale, this.offset * scale + offset, this.is_date);
+	}
+
+	valueFrom(parameters) {
+		let value = this.param.valueFrom(parameters);
+		if (value === undefined) return undefined;
+		if (this.is_date) {
+			if (!(value instanceof Date)) throw new ParameterError(this.$, `Parameter ${this.param} must be a date (got ${typeOf(value)})`);
+			return new Date(value.getTime() + this.offset);
+		}
+		if (typeof value !== 'number') throw new ParameterError(this.$, `Parameter ${this.param} must be a number (got ${typeOf(value)})`);
+		return value * this.scale + this.offset;
+	}
+
+	toString() {
+		let result = this.param.toString();
+		if (this.scale !== 1) result += '*' + this.scale;
+		if (this.is_date) {
+			let unit = Object.keys(DATE_UNITS).reverse().find(unit => this.offset % DATE_UNITS[unit] === 0);
+			let amount = Math.abs(this.offset / DATE_UNITS[unit]);
+			return result + (this.offset < 0 ? '-' : '+') + amount + (amount === 1 ? unit.slice(0, -1) : unit);
+		}
+		if (this.offset !== 0) result += (this.offset < 0 ? '-' : '+') + Math.abs(this.offset);
+		return result;
+	}
+
+	toJSON() {
+		let json = this.param.toJSON();
+		if (this.scale !== 1) json.scale = this.scale;
+		if (this.offset !== 0) json.offset = this.offset;
+		if (this.is_date) json.date = true;
+		return json;
+	}
 }
 
 /** Proxy handler for factory. 
@@ -73,4 +367,4 @@ const FACTORY_HANDLER = {
 */
 const $ = new Proxy({}, FACTORY_HANDLER);
 
-module.exports = { $, Param };
+module.exports = { $, Param, ParamExpression, PARTIAL };
@@ -0,0 +1,365 @@
+const Range = require('./range');
+const { Param } = require('./param');
+
+/** Tokens are matched against these patterns in order
+*
+* @private
+*/
+const TOKEN_PATTERNS = [
+	[ 'string', /^"(?:[^"\\]|\\.)*"/ ],
+	[ 'number', /^-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?|^-Infinity/ ],
+	[ 'param', /^\$[A-Za-z_][\w]*/ ],
+	[ 'word', /^[A-Za-z_][\w]*/ ],
+	[ 'operator', /^(?:<=|>=|!=|=|<|>)/ ],
+	[ 'punctuation', /^[().,\[\]]/ ]
+];
+
+/** Arithmetic which may directly follow a parameter and its options, such as `*2`, `+1` or `+7days`
+*
+* @private
+*/
+const PARAM_ARITHMETIC = /^(?:\*(-?\d+(?:\.\d+)?(?:e[+-]?\d+)?))?(?:([+-]\d+(?:\.\d+)?(?:e[+-]?\d+)?)([a-z]*))?/;
+
+/** Parser for expressions created by Query.DEFAULT_FORMAT
+*
+* Grammar, roughly:
+* ```
+* expression := conjunction ( 'or' conjunction )*
+* conjunction := term ( 'and' term )*
+* term := '(' expression ')' | 'not' '(' expression ')' | path condition
+* condition := operator value | 'has' '(' expression ')' | 'match' '(' expression ')' | 'hasAll' '(' parameter ')' 
+*	| ( 'in' | 'nin' ) '(' value ( ',' value )* ')' | ( 'prefix' | 'like' | 'regex' ) '(' value ')' 
+*	| 'exists' | 'not' 'exists' | 'is' 'null' | 'is' 'not' 'null'
+* path := name ( '.' name )*
+* value := string | number | 'Infinity' | 'true' | 'false' | 'null' | 'date' '(' string ')' | parameter | regular expression
+* parameter := '$' name ( '[' option ( ',' option )* ']' )? ( '*' number )? ( ( '+' | '-' ) number unit? )?
+* option := type | 'required' | 'default' '=' value
+* ```
+* Within `has(...)`, the name `$self` refers to an element of the array. Within `not(...)`, an expression on a single
+* dimension is negated like a range, so never matches items where that value is missing or null. A single parameter in `in(...)`, `nin(...)` or
+* `hasAll(...)` stands for an array of values which is supplied when the query is bound.
+*
+* `x match(...)` is a single subquery on x, written with full paths, as `x match((x.y=1 or x.z=2))`; the same 
+* conditions without `match` are a union of two subqueries. Similarly `(x not exists or x is not null)` is read as 
+* a single range on x.
+*
+* @private
+*/
+class Parser {
+
+	constructor(text) {
+		this.text = text;
+		this.position = 0;
+	}
+
+	/** Parse an expression
+	* @returns {Query} the query represented by the expression
+	*/
+	static parse(text) {
+		let parser = new Parser(text);
+		if (parser.atEnd()) return Query.from({});
+		let result = parser.expression();
+		if (!parser.atEnd()) parser.error('Unexpected text');
+		return result;
+	}
+
+	error(message) {
+		throw new SyntaxError(`${message} at position ${this.position} in: ${this.text}`);
+	}
+
+	skipWhitespace() {
+		while (this.position < this.text.length && /\s/.test(this.text[this.position])) this.position++;
+	}
+
+	atEnd() {
+		this.skipWhitespace();
+		return this.position >= this.text.length;
+	}
+
+	/** Get the next token without consuming it
+	* @returns {Object} token with type and text, or undefined at end of input
+	*/
+	peek() {
+		if (this.atEnd()) return undefined;
+		let rest = this.text.slice(this.position);
+		for (let [ type, pattern ] of TOKEN_PATTERNS) {
+			let match = pattern.exec(rest);
+			if (match) return { type, text: match[0] };
+		}
+		this.error('Unexpected character');
+	}
+
+	/** Consume the next token
+	*
+	* @param {string} [expected] - if provided, text which the token must match
+	* @returns {Object} token with type and text
+	*/
+	next(expected) {
+		let token = this.peek();
+		if (token === undefined) this.error(expected ? `Expected '${expected}'` : 'Unexpected end of expression');
+		if (expected !== undefined && token.text !== expected) this.error(`Expected '${expected}' but found '${token.text}'`);
+		this.position += token.text.length;
+		return token;
+	}
+
+	/** Consume the next token if it has the given text
+	* @returns true if the token was consumed
+	*/
+	accept(text) {
+		let token = this.peek();
+		if (token && token.text === text) {
+			this.position += text.length;
+			return true;
+		}
+		return false;
+	}
+
+	expression() {
+		let result = this.conjunction();
+		while (this.accept('or')) result = disjunction(result, this.conjunction());
+		return result;
+	}
+
+	conjunction() {
+		let result = this.term();
+		while (this.accept('and')) result = result.and(this.term());
+		return result;
+	}
+
+	term() {
+		if (this.accept('(')) {
+			let result = this.expression();
+			this.next(')');
+			return result;
+		}
+		let token = this.peek();
+		if (token && token.text === 'not' && /^not\s*\(/.test(this.text.slice(this.position))) {
+			this.next('not');
+			this.next('(');
+			let result = this.expression();
+			this.next(')');
+			return negation(result);
+		}
+		let path = this.path();
+		let range = this.condition(path);
+		return Query.from(path.reduceRight((constraint, dimension) => ({ [dimension] : constraint }), range));
+	}
+
+	path() {
+		let result = [ this.name() ];
+		while (this.accept('.')) result.push(this.name());
+		return result;
+	}
+
+	name() {
+		let token = this.next();
+		if (token.type === 'word' || token.type === 'param' && token.text === '$self') return token.text;
+		this.error(`Expected a name but found '${token.text}'`);
+	}
+
+	condition(path) {
+		let token = this.next();
+		if (token.type === 'operator')
+			return Range.OPERATORS[token.text](this.value());
+
+		switch (token.text) {
+			case 'has': {
+				this.next('(');
+				let query = this.expression();
+				this.next(')');
+				return elementRange(query, this);
+			}
+			case 'match': {
+				this.next('(');
+				let query = this.expression();
+				this.next(')');
+				return subqueryRange(query, path, this);
+			}
+			case 'hasAll': {
+				this.next('(');
+				let value = this.value();
+				if (!Param.isParam(value)) this.error('Expected a parameter in hasAll()');
+				this.next(')');
+				return Range.hasAll(value);
+			}
+			case 'in':
+			case 'nin': {
+				this.next('(');
+				let values = [ this.value() ];
+				while (this.accept(',')) values.push(this.value());
+				this.next(')');
+				if (values.length === 1 && Param.isParam(values[0])) values = values[0];
+				return token.text === 'in' ? Range.in(values) : Range.nin(values);
+			}
+			case 'prefix':
+			case 'like':
+			case 'regex': {
+				this.next('(');
+				let value = token.text === 'regex' && this.peekRegExp() ? this.regexp() : this.value();
+				this.next(')');
+				return token.text === 'prefix' ? Range.startsWith(value) : token.text === 'like' ? Range.like(value) : Range.regex(value);
+			}
+			case 'exists':
+				return Range.exists();
+			case 'not':
+				this.next('exists');
+				return Range.exists(false);
+			case 'is': {
+				let is_null = !this.accept('not');
+				this.next('null');
+				return Range.isNull(is_null);
+			}
+			default:
+				this.error(`Unexpected '${token.text}'`);
+		}
+	}
+
+	value() {
+		let token = this.next();
+		switch (token.type) {
+			case 'string': return JSON.parse(token.text);
+			case 'number': return Number(token.text);
+			case 'param': return this.parameter(token.text);
+			case 'word':
+				if (token.text === 'true') return true;
+				if (token.text === 'false') return false;
+				if (token.text === 'null') return null;
+				if (token.text === 'Infinity') return Infinity;
+				if (token.text === 'date') {
+					this.next('(');
+					let text = this.next();
+					let date = new Date(text.type === 'string' ? JSON.parse(text.text) : NaN);
+					if (isNaN(date.getTime())) this.error(`Expected a date but found '${text.text}'`);
+					this.next(')');
+					return date;
+				}
+		}
+		this.error(`Expected a value but found '${token.text}'`);
+	}
+
+	/** Read the options and any arithmetic following a parameter name
+	*
+	* @param {string} name - text of the parameter token, such as `$a`
+	* @returns {Param} a parameter or parameter expression
+	*/
+	parameter(name) {
+		let options = { $: name.slice(1) };
+		if (this.text[this.position] === '[') {
+			this.next('[');
+			do {
+				let token = this.next();
+				if (token.text === 'required') options.required = true;
+				else if (token.text === 'default') {
+					this.next('=');
+					options.default = this.value();
+				}
+				else if (token.type === 'word') options.type = token.text;
+				else this.error(`Unexpected '${token.text}' in parameter options`);
+			} while (this.accept(','));
+			this.next(']');
+		}
+		let [ arithmetic, scale, offset, unit ] = PARAM_ARITHMETIC.exec(this.text.slice(this.position));
+		this.position += arithmetic.length;
+		let param = Param.from(options);
+		if (scale !== undefined) param = param.multiply(Number(scale));
+		if (offset === undefined) return param;
+		if (!unit) return param.add(Number(offset));
+		return param.add(Number(offset), unit.endsWith('s') ? unit : unit + 's');
+	}
+
+	peekRegExp() {
+		this.skipWhitespace();
+		return this.text[this.position] === '/';
+	}
+
+	regexp() {
+		let match = /^\/((?:[^\/\\\n]|\\.)*)\/([a-z]*)/.exec(this.text.slice(this.position));
+		if (!match) this.error('Invalid regular expression');
+		this.position += match[0].length;
+		return new RegExp(match[1], match[2]);
+	}
+}
+
+/** Find the range on the only value constrained by a query with a single cube
+*
+* @private
+* @param {Query} query - a query
+* @returns {Object} the path to the value and the range on it, or undefined
+*/
+function singleRange(query) {
+	if (query.union.length !== 1) return undefined;
+	let dimensions = Object.keys(query.union[0]);
+	if (dimensions.length !== 1) return undefined;
+	let [ dimension ] = dimensions;
+	let range = query.union[0][dimension];
+	let inner = range.operator === 'match' ? singleRange(range.query) : undefined;
+	return inner ? { path: [ dimension, ...inner.path ], range: inner.range } : { path: [ dimension ], range };
+}
+
+/** Combine the queries either side of 'or'
+*
+* A range containing missing and defined values, but not null, is printed as `(x not exists or x is not null)`;
+* conditions on whether the same value exists are therefore merged into a single range.
+*
+* @private
+*/
+function disjunction(query, other) {
+	let a = singleRange(query), b = singleRange(other);
+	if (a && b && a.range.operator === 'exists' && b.range.operator === 'exists' && a.path.join('.') === b.path.join('.')) {
+		let range = Range.union(a.range, b.range);
+		if (range && range.operator === 'exists') 
+			return Query.from(a.path.reduceRight((constraint, dimension) => ({ [dimension] : constraint }), range));
+	}
+	return query.or(other);
+}
+
+/** Convert the query inside `match(...)` into a single subquery on the value at path
+*
+* @private
+*/
+function subqueryRange(query, path, parser) {
+	let result = new Query();
+	for (let cube of query.union) {
+		let subquery = new Query([ cube ]);
+		for (let dimension of path) {
+			let dimensions = subquery.union.length === 1 ? Object.keys(subquery.union[0]) : [];
+			let range = subquery.union[0] && subquery.union[0][dimension];
+			if (dimensions.length !== 1 || !range || range.operator !== 'match') 
+				parser.error(`Conditions in match() must all be on ${path.join('.')}`);
+			subquery = range.query;
+		}
+		result = result.or(subquery);
+	}
+	return Range.subquery(result);
+}
+
+/** Negate the query inside `not(...)`
+*
+* A negated range is printed as `not(...)`; like other value ranges, it never matches a missing or null value. 
+* A negated expression which constrains more than one dimension is the complement of the whole query.
+*
+* @private
+*/
+function negation(query) {
+	let dimensions = new Set();
+	for (let cube of query.union) Object.keys(cube).forEach(dimension => dimensions.add(dimension));
+	if (dimensions.size !== 1) return query.not();
+	let [ dimension ] = dimensions;
+	return query.not().and(Query.from({ [dimension] : Range.isNull(false) }));
+}
+
+/** Convert the query inside `has(...)` into a range which selects array elements
+*
+* @private
+*/
+function elementRange(query, parser) {
+	let uses_self = query.union.some(cube => cube.$self !== undefined);
+	if (!uses_self) return Range.has(Range.subquery(query));
+	if (query.union.length !== 1 || Object.keys(query.union[0]).length !== 1)
+		parser.error('Conditions on $self in has() must be a single conjunction');
+	return Range.has(query.union[0].$self);
+}
+
+module.exports = Parser;
+
+const Query = require('./query');
@@ -1,6 +1,8 @@
 const Cube = require('./cube');
 const { Stream } = require('iterator-plumbing');
 const Range = require('./range');
+const { Param, PARTIAL } = require('./param');
+const { QueryComplexityError, ParameterError } = require('./errors');
 
 /**
 * The result of formatting a query - can be any type, but all the methods of QueryFormatter should all return the same type. Often a String.
@@ -51,6 +53,206 @@ const Range = require('./range');
 * @returns {QueryFormatter~Expression} an operator expression.
 */
 
+/** Limits on query complexity; see Query.limits and Query.withLimits
+* @private
+*/
+let LIMITS = Object.freeze({ max_cubes: 1000, max_depth: 16 });
+
+/** Check that the nesting depth of a query is within limits
+*
+* @private
+* @param {Query} query - query to check
+* @returns {Query} query
+* @throws {QueryComplexityError} if subqueries are nested too deeply
+*/
+function checkDepth(query) {
+	if (query.depth > LIMITS.max_depth) 
+		throw new QueryComplexityError('max_depth', LIMITS.max_depth, `Subqueries nested more than ${LIMITS.max_depth} deep`);
+	return query;
+}
+
+/** Create a cube from a constraint object, checking the nesting depth of any subqueries
+*
+* @private
+* @param {Object} constraint - constraint object
+* @returns {Cube} a cube
+* @throws {QueryComplexityError} if subqueries are nested too deeply
+*/
+function constraintCube(constraint) {
+	return checkDepth(new Query([ new Cube(constraint) ])).union[0];
+}
+
+/** Check that a number of cubes is within limits
+*
+* @private
+* @param {number} count - number of cubes in a query
+* @throws {QueryComplexityError} if there are too many cubes
+*/
+function checkCubes(count) {
+	if (count > LIMITS.max_cubes) 
+		throw new QueryComplexityError('max_cubes', LIMITS.max_cubes, `Query has more than ${LIMITS.max_cubes} cubes`);
+}
+
+/** Get the clauses of a query; see Query#clauses
+*
+* @private
+* @param {Query} query - a query
+* @returns {Query[]} queries whose intersection is equal to query, none of which has clauses
+*/
+function clausesOf(query) {
+	return query.clauses || [ query ];
+}
+
+/** Create a query which is the intersection of some other queries, without expanding it into a union of cubes
+*
+* @private
+* @param {Query[]} clauses - queries, none of which has clauses
+* @returns {Query} the intersection of the clauses
+*/
+function conjunction(clauses) {
+	if (clauses.some(clause => clause.union.length === 0)) return new Query();
+	let result = new Query();
+	result.clauses = clauses;
+	result.union = undefined;
+	return result;
+}
+
+/** Create the complement of a query, including items where a constrained value is missing or null
+*
+* @private
+* @param {Query} query - a query
+* @returns {Query} a query matching the items not matched by query
+*/
+function complementOf(query) {
+	let result = new Query([ new Cube() ]);
+	for (let cube of query.union) {
+		let cube_complement = Stream
+			.fromProperties(cube)
+			.flatten(([dimension,range]) => Stream.from(Range.complement(range).map(part => [dimension, part])))
+			.reduce((query, [dimension,range]) => query.orConstraint({ [dimension] : range }), new Query());
+		result = result.andQuery(cube_complement);
+	}
+	return result;
+}
+
+/** Version of the JSON format created by Query.toJSON
+* @private
+*/
+const JSON_VERSION = 1;
+
+/** Replace any Date in the JSON representation of a range with a `{ $date: iso_string }` object
+*
+* Dates would otherwise become indistinguishable from strings when the JSON is stringified.
+*
+* @private
+* @param json - JSON representation of a range
+* @returns json, with dates tagged
+*/
+function tagDates(json) {
+	if (json instanceof Date) return { $date: json.toJSON() };
+	if (json !== null && typeof json === 'object' && typeof json.toJSON === 'function') return tagDates(json.toJSON());
+	if (Array.isArray(json)) return json.map(tagDates);
+	if (json === null || typeof json !== 'object') return json;
+	let result = {};
+	Stream.fromProperties(json).forEach(([key,value]) => result[key] = tagDates(value));
+	return result;
+}
+
+/** Replace any `{ $date: iso_string }` object in the JSON representation of a range with a Date
+*
+* @private
+* @param json - JSON representation of a range, as created by tagDates
+* @returns json, with tagged dates revived
+*/
+function reviveDates(json) {
+	if (Array.isArray(json)) return json.map(reviveDates);
+	if (json === null || typeof json !== 'object' || Object.getPrototypeOf(json) !== Object.prototype) return json;
+	let keys = Object.keys(json);
+	if (keys.length === 1 && keys[0] === '$date') return new Date(json.$date);
+	let result = {};
+	Stream.fromProperties(json).forEach(([key,value]) => result[key] = reviveDates(value));
+	return result;
+}
+
+/** Properties in the JSON representation of a range whose value is an array of items in no particular order
+* @private
+*/
+const UNORDERED_PROPERTIES = [ '$in', '$nin', '$hasAll', '$and' ];
+
+/** Convert the JSON representation of a range into a canonical string
+*
+* Object properties are sorted by name, and items in unordered arrays are sorted, so ranges which
+* are equal have the same canonical string. Values which JSON can't represent (dates, NaN and the infinities)
+* are tagged with their type, so that they don't share a canonical string with some other value.
+*
+* @private
+* @param json - JSON representation of a range
+* @param {boolean} [unordered=false] - true if json is an array of items in no particular order
+* @returns {string} canonical string
+*/
+function canonicalRange(json, unordered = false) {
+	if (json instanceof Date) json = { $date: json.toJSON() };
+	if (typeof json === 'number' && !isFinite(json)) json = { $number: String(json) };
+	if (json !== null && typeof json === 'object' && typeof json.toJSON === 'function') json = json.toJSON();
+	if (Array.isArray(json)) {
+		let items = json.map(item => canonicalRange(item));
+		if (unordered) items.sort();
+		return '[' + items.join(',') + ']';
+	}
+	if (json === null || typeof json !== 'object') return JSON.stringify(json);
+	return '{' + Object.keys(json)
+		.sort()
+		.map(key => JSON.stringify(key) + ':' + (key === '$match' ? canonicalQuery(json[key]) : canonicalRange(json[key], UNORDERED_PROPERTIES.includes(key))))
+		.join(',') + '}';
+}
+
+/** Convert the JSON representation of a query into a canonical string
+*
+* @private
+* @param {Query~JSON} json - JSON representation of a query
+* @returns {string} canonical string
+*/
+function canonicalQuery(json) {
+	return '{"version":' + json.version + ',"union":' + canonicalRange(json.union, true) + '}';
+}
+
+/** JSON representation of a query
+*
+* Each cube in the union is a constraint object mapping dimensions to the JSON representation of a range,
+* so `Query.from(cube)` creates a query equal to that cube. Ranges are written as:
+*
+* | Range 					| JSON 									|
+* |-------------------------|---------------------------------------|
+* | equals 				| the value, or `{ '=': value }` if the value is an object, an array or null |
+* | between 				| `[lower, upper]`, where each bound is a value or a bounds object |
+* | greaterThanOrEqual		| `[value, null]` 						|
+* | lessThan 				| `[null, value]` 						|
+* | other simple ranges 	| a bounds object, e.g. `{ '>': value }` or `{ $prefix: value }` |
+* | regex 					| `{ $regex: source, $options: flags }` |
+* | has / hasAll 			| `{ $has: range }` / `{ $hasAll: [range, ...] }`, or `{ $hasAll: parameter }` for an array parameter |
+* | subquery 				| a constraint object, or `{ $match: query }` if the subquery has more than one cube |
+* | intersection 			| `{ $and: [range, ...] }` 				|
+* | negation 				| `{ $not: range }`, `{ '!=': value }` or `{ $nin: [value, ...] }` |
+* | parameter 				| `{ $: name }` in place of a value, with `type`, `required` and `default` properties for typed parameters |
+* | date 					| `{ $date: iso_string }` in place of a Date value 	|
+*
+* Bounds objects for ranges with a custom order have an `order` property containing the name of the
+* ordering function.
+*
+* @typedef {Object} Query~JSON
+* @property {number} version - version of the format; currently 1
+* @property {Object[]} union - cubes, as constraint objects
+*/
+
+/** Description of a parameter used in a query
+*
+* @typedef {Object} Query~Parameter
+* @property {string} name - the name of the parameter
+* @property {Param} param - the parameter (including any type, default value, etc.)
+* @property {string[]} dimensions - the dimensions constrained by the parameter
+* @property {string[]} operators - the operators (as used in expressions, e.g. '>=' or 'in') used with the parameter
+*/
+
 /** A Query represent an arbitrary set of constraints on a set of data.
 *
 * A constraint, in this case, is a mapping of a field name (or _dimension_) to a Range object. A query
@@ -68,6 +270,17 @@ const Range = require('./range');
 * Given queries a,b,c,d the internal representation of `(a.or(b)).and(c.or(d))` will actually be something like
 * `a.and(c).or(a.and(d)).or(b.and(c)).or(b.and(d))`.
 *
+* Since this canonical form may be much larger than the original query, the intersection of two queries which 
+* both have more than one cube in their canonical form is held as a list of _clauses_. The canonical form is only
+* calculated when it is needed (for example by `contains`, `equals`, or `or`); `toExpression`, `containsItem`, 
+* `bind` and `optimize` work directly on the clauses, so `toExpression` will create an expression like
+* `(a or b) and (c or d)`.
+*
+* Since the canonical form of such a query may exceed `Query.limits.max_cubes`, anything which needs it may throw a
+* QueryComplexityError: `union`, `isEmpty`, `isUniversal`, `contains`, `equals`, `or`, `not`, `minus`, `toJSON`
+* and `hashKey` (and so a QueryCache lookup). `toExpression`, `containsItem`, `predicate`, `optimize`, `parameters`
+* and `depth` never need it; `bind` uses it only to check whether the bound query is empty, where it is within limits.
+*
 * The `optimize` method can work on this internal representation to remove redundant criteria.
 *
 * The `toExpression` method attempts to remove common factors from the internal representation before generating
@@ -86,6 +299,33 @@ class Query {
 		this.union = cubes;
 	}
 
+	/** Cubes in the canonical form of this query
+	*
+	* If this query is an intersection of clauses, the canonical form is calculated when first requested.
+	*
+	* @returns {Cube[]} cubes
+	* @throws {QueryComplexityError} if the canonical form has too many cubes
+	*/
+	get union() {
+		if (this._union === undefined) 
+			this._union = this.clauses.reduce((result, clause) => result._multiply(clause)).union;
+		return this._union;
+	}
+
+	set union(cubes) {
+		this._union = cubes;
+	}
+
+	/** Queries whose intersection is equal to this query
+	*
+	* Undefined unless this query was created by intersecting queries which have more than one cube in their
+	* canonical form; each clause is itself a query with no clauses.
+	*
+	* @member {Query[]} clauses
+	* @memberof Query
+	* @instance
+	*/
+
 	/** A set of constraints.
 	*
 	* An object with properties names that represent field names on which a constraint is applied, and
@@ -107,7 +347,82 @@ class Query {
 	* @returns a Query
 	*/
 	static from(obj) {
-		return new Query( [ new Cube(obj) ] );
+		return new Query([ constraintCube(obj) ]);
+	}
+
+	/** Create a query from an expression
+	*
+	* Parses expressions in the format created by `toExpression()` with the default formatter. Thus
+	* @example
+	* Query.parse('grade<"C" and (course="javascript 101" or student.age>=$min_age)')
+	*
+	* creates a query equal to:
+	* @example
+	* Query.from({ grade: [,'C'] }).and(Query.from({ course: 'javascript 101' }).or({ student: { age: [$.min_age,] } }))
+	*
+	* Within a `has(...)` expression, `$self` refers to an array element; thus `tags has($self="red")`.
+	*
+	* @param {string} expression - expression to parse
+	* @returns {Query} a query
+	* @throws {SyntaxError} if the expression can't be parsed
+	*/
+	static parse(expression) {
+		return Parser.parse(expression);
+	}
+
+	/** Create a query from its JSON representation
+	*
+	* `Query.fromJSON(query.toJSON(), orders)` creates a query equal to query.
+	*
+	* @param {Query~JSON} json - JSON representation of a query, as created by toJSON
+	* @param {Object<string,Range~OrderingFunction>} [orders={}] - custom ordering functions used by the query, by name
+	* @returns {Query} a query
+	* @throws {RangeError} if the JSON format version is not supported, or an order is not found
+	*/
+	static fromJSON(json, orders = {}) {
+		if (json.version !== JSON_VERSION) throw new RangeError(`Unsupported query JSON version: ${json.version}`);
+		checkCubes(json.union.length);
+		return checkDepth(new Query(json.union.map(constraints => {
+			let cube = new Cube();
+			Stream.fromProperties(constraints).forEach(([dimension,range]) => cube[dimension] = Range.fromJSON(reviveDates(range), orders));
+			return cube;
+		})));
+	}
+
+	/** Limits on query complexity
+	*
+	* Combining queries with `and` multiplies out their unions, so the number of cubes in a query can grow
+	* exponentially. Operations which would create a query with more than `max_cubes` cubes, or with subqueries
+	* nested more than `max_depth` deep, throw a QueryComplexityError. The object is frozen; use `Query.withLimits`
+	* to apply different limits.
+	*
+	* @returns {Object} object with max_cubes and max_depth properties
+	*/
+	static get limits() {
+		return LIMITS;
+	}
+
+	/** Apply different limits on query complexity while calling a function
+	*
+	* The limits are restored when the function returns or throws, so `Query.withLimits({ max_cubes: 100 }, () => 
+	* Query.parse(text).toJSON())` parses some user input with a lower limit, without affecting other queries. Note
+	* that the canonical form of an intersection of queries is only calculated when first needed (see Query), so
+	* the callback should do everything which needs the lower limit.
+	*
+	* @param {Object} limits - limits to change
+	* @param {number} [limits.max_cubes] - maximum number of cubes in a query
+	* @param {number} [limits.max_depth] - maximum nesting depth of subqueries
+	* @param {Function} callback - function to call
+	* @returns the result of callback
+	*/
+	static withLimits(limits, callback) {
+		let previous = LIMITS;
+		LIMITS = Object.freeze(Object.assign({}, LIMITS, limits));
+		try {
+			return callback();
+		} finally {
+			LIMITS = previous;
+		}
 	}
 
 	static isQuery(obj) {
@@ -125,7 +440,24 @@ class Query {
 			return printDimension(context.context, context.dimension) + "." + name;
 		}
 		
-		const printValue = value => typeof value === 'string' ? '"' + value + '"' : value;
+		function printValue(value) {
+			if (typeof value === 'string') return JSON.stringify(value);
+			if (value instanceof Date) return 'date(' + JSON.stringify(value.toISOString()) + ')';
+			if (Param.isParam(value)) return printParam(value);
+			return value;
+		}
+
+		// Options are printed after the name, as in `$a[number,default=18]*2`; a parameter standing for a set of 
+		// values is always an array, so that type is left out
+		function printParam(param) {
+			let options = [];
+			if (param.type !== undefined && param.type !== 'array') options.push(param.type);
+			if (param.is_required) options.push('required');
+			if (param.default_value !== undefined) options.push('default=' + printValue(param.default_value));
+			let name = '$' + param.$;
+			if (options.length === 0) return param.toString();
+			return name + '[' + options.join(',') + ']' + param.toString().slice(name.length);
+		}
 
 		return {
     		andExpr(...ands) { return ands.join(' and ') }, 
@@ -133,10 +465,23 @@ class Query {
     		operExpr(dimension, operator, value, context) {
     			// null dimension implies that we are in a 'has' clause where the dimension is attached to the
     			// outer 'has' operator 
+    			// a subquery containing 'or' may have several cubes, so is wrapped to be read back as a single range
     			if (operator === 'match')
-    				return value;
+    				return dimension !== null && / or /.test(value) ? printDimension(context, dimension) + " match(" + value + ")" : value;
     			if (operator === 'has')
     				return printDimension(context, dimension) + " has(" + value + ")"
+    			if (operator === 'hasAll')
+    				return printDimension(context, dimension) + " hasAll(" + printValue(value) + ")"
+    			if (operator === 'not')
+    				return "not(" + value + ")"
+    			if (operator === 'prefix' || operator === 'regex' || operator === 'like')
+    				return printDimension(context, dimension) + " " + operator + "(" + printValue(value) + ")"
+    			if (operator === 'exists')
+    				return printDimension(context, dimension) + (value ? " exists" : " not exists")
+    			if (operator === 'null')
+    				return printDimension(context, dimension) + (value ? " is null" : " is not null")
+    			if (operator === 'in' || operator === 'nin')
+    				return printDimension(context, dimension) + " " + operator + "(" + value.map(printValue).join(',') + ")"
     			//if (dimension === null) return '$self' + operator + printValue(value) 
 
     			return printDimension(context,dimension) + operator + printValue(value) 
@@ -144,13 +489,97 @@ class Query {
     	}
 	}
 
-	/** Delete any redundant critera from the query */
-	optimize() {
-		for (let i = 0; i < this.union.length; i++)
-			for (let j = 0; j < this.union.length; j++) 
-				if (this.union[i].contains(this.union[j])) {
-					delete this.union[j];
+	/** Summary of the changes made by optimize
+	*
+	* @typedef {Object} Query~OptimizationReport
+	* @property {number} cubes_before - number of cubes in the original query
+	* @property {number} cubes_after - number of cubes in the optimized query
+	* @property {number} empty - number of cubes removed because they could never match anything
+	* @property {number} subsumed - number of cubes removed because they were contained by another cube
+	* @property {number} merged - number of pairs of cubes merged into a single cube
+	* @property {number} absorbed - number of redundant constraints removed from cubes
+	*/
+
+	/** Create an equivalent query with any redundant critera removed
+	*
+	* Empty cubes and cubes contained by other cubes are removed. Cubes which differ in only one dimension 
+	* are merged where the ranges in that dimension can be combined (see Range.union); thus 
+	* `Query.from({ x: [1,3] }).or({ x: [3,5] })` is optimized to `Query.from({ x: [1,5] })`. Finally,
+	* constraints made redundant by other cubes are removed (see Cube.absorb). These steps are repeated 
+	* until no further change can be made.
+	*
+	* @param {Function} [report] - if provided, called with a Query~OptimizationReport
+	* @returns {Query} an optimized query equal to this query. This query is not changed.
+	*/
+	optimize(report) {
+		if (this.clauses) {
+			let totals = { cubes_before: 0, cubes_after: 0, empty: 0, subsumed: 0, merged: 0, absorbed: 0 };
+			let clauses = this.clauses.map(clause => clause.optimize(result => 
+				Stream.fromProperties(result).forEach(([property,count]) => totals[property] += count)
+			));
+			if (report) report(totals);
+			return conjunction(clauses);
+		}
+
+		let union = this.union.filter(cube => cube.isEmpty() !== true);
+		let result = { cubes_before: this.union.length, cubes_after: 0, empty: this.union.length - union.length, subsumed: 0, merged: 0, absorbed: 0 };
+
+		// Each pass carries on scanning after a change, and reports whether it changed anything
+		const subsume = () => {
+			let changed = false;
+			for (let i = 0; i < union.length; i++)
+				for (let j = 0; j < union.length; j++)
+					if (i !== j && union[i].contains(union[j]) === true) {
+						union.splice(j--, 1);
+						if (j < i) i--;
+						result.subsumed++;
+						changed = true;
+					}
+			return changed;
+		};
+
+		const merge = () => {
+			let changed = false;
+			for (let i = 0; i < union.length; i++)
+				for (let j = i + 1; j < union.length; j++) {
+					let merged = union[i].union(union[j]);
+					if (merged) {
+						union[i] = merged;
+						union.splice(j, 1);
+						// the merged cube may now merge with cubes already passed over
+						j = i;
+						result.merged++;
+						changed = true;
+					}
+				}
+			return changed;
+		};
+
+		const absorb = () => {
+			let changed = false;
+			for (let i = 0; i < union.length; i++)
+				for (let j = 0; j < union.length; j++) {
+					let absorbed = i !== j && union[j].absorb(union[i]);
+					if (absorbed) {
+						union[j] = absorbed;
+						result.absorbed++;
+						changed = true;
+					}
 				}
+			return changed;
+		};
+
+		// Repeat until no pass makes any change, since each change may allow others
+		let changed = true;
+		while (changed) {
+			changed = subsume();
+			changed = merge() || changed;
+			changed = absorb() || changed;
+		}
+
+		result.cubes_after = union.length;
+		if (report) report(result);
+		return new Query(union);
 	}
 
 	/**
@@ -235,6 +664,9 @@ class Query {
 	* @returns {Expression} expression - result expression. Typically a string but can be any type.
 	*/
 	toExpression(formatter=Query.DEFAULT_FORMAT, context) {
+		if (this.clauses) {
+			return formatter.andExpr(...this.clauses.map(clause => clause.toExpression(formatter, context)));
+		}
 		if (this.union.length === 1) {
 			return this.union[0].toExpression(formatter,context);
 		}
@@ -272,6 +704,40 @@ class Query {
 		}
 	}
 
+	/** Depth of nesting of subqueries in this query
+	* @returns {number} 1 if this query contains no subqueries
+	*/
+	get depth() {
+		if (this.clauses) return Math.max(...this.clauses.map(clause => clause.depth));
+		return 1 + this.union.reduce((depth, cube) => 
+			Stream.fromProperties(cube).reduce((depth, [dimension,range]) => Math.max(depth, range ? range.depth : 0), depth),
+			0
+		);
+	}
+
+	/** Convert a query to its JSON representation
+	*
+	* @returns {Query~JSON} JSON representation of this query
+	* @throws {QueryComplexityError} if the canonical form of this query has too many cubes
+	*/
+	toJSON() {
+		return { version: JSON_VERSION, union: this.union.map(cube => tagDates(cube.toJSON())) };
+	}
+
+	/** Get a key which identifies this query
+	*
+	* Queries which are equal have the same key, irrespective of the order in which cubes, dimensions, or
+	* set members were given; and the key is the same in any process. The key can therefore be used in a Map
+	* or an external cache. Note that values which are considered equal by a custom ordering function, but
+	* which are not identical, will result in different keys.
+	*
+	* @returns {string} a key for this query
+	* @throws {QueryComplexityError} if the canonical form of this query has too many cubes
+	*/
+	hashKey() {
+		return canonicalQuery(this.toJSON());
+	}
+
 	/** Create a new query that will return results in this query or some cube.
 	* @private 
 	* @param {Cube} other_cube - cube of additional results
@@ -280,18 +746,22 @@ class Query {
 	_orCube(other_cube) {
 		let result = [];
 		let match = false;
+		let replaced = false;
 		for (let cube of this.union) {
 			if (cube.contains(other_cube)) {
 				match = true;
 				result.push(cube);
 			} else if (other_cube.contains(cube)) {
+				// other_cube may replace several cubes, but should only be added once
 				match = true;
-				result.push(other_cube);
+				if (!replaced) result.push(other_cube);
+				replaced = true;
 			} else {
 				result.push(cube);
 			}
 		}
 		if (!match) result.push(other_cube);
+		checkCubes(result.length);
 
 		return new Query(result);
 	}
@@ -302,7 +772,7 @@ class Query {
 	* @returns {Query} a new compound query.
 	*/
 	orConstraint(other_constraint) {
-		return this._orCube(new Cube(other_constraint));
+		return this._orCube(constraintCube(other_constraint));
 	}
 
 	/** Create a new query that will return the union of results in this query and with some other query.
@@ -335,6 +805,15 @@ class Query {
 	* @returns {Query} a new compound query.
 	*/
 	_andCube(other_cube) {
+		if (this.clauses) {
+			// Intersect with a clause that has only one cube, if there is one, to keep the number of clauses down
+			let index = this.clauses.findIndex(clause => clause.union.length === 1);
+			if (index < 0) return conjunction([ ...this.clauses, new Query([ other_cube ]) ]);
+			let clauses = this.clauses.slice();
+			clauses[index] = clauses[index]._andCube(other_cube);
+			return conjunction(clauses);
+		}
+
 		let result = [];
 		for (let cube of this.union) {
 			let intersection = cube.intersect(other_cube);
@@ -349,7 +828,7 @@ class Query {
 	* @returns {Query} a new compound query.
 	*/
 	andConstraint(constraint) {
-		return this._andCube(new Cube(constraint));
+		return this._andCube(constraintCube(constraint));
 	}
 
 
@@ -359,9 +838,24 @@ class Query {
 	* @returns {Query} a new compound query that is the intersection of result sets from both queries
 	*/
 	andQuery(other_query) {
-		let result = other_query;
+		if (this.clauses || other_query.clauses || this.union.length > 1 && other_query.union.length > 1)
+			return conjunction([ ...clausesOf(this), ...clausesOf(other_query) ]);
+		return this._multiply(other_query);
+	}
+
+	/** Create a new query that will return the intersection of results in this query and some other query.
+	*
+	* The result is calculated in canonical form, by intersecting every cube in this query with every cube in
+	* the other query.
+	*
+	* @private
+	* @param {Query} other_query - the other query
+	* @returns {Query} a new compound query that is the intersection of result sets from both queries
+	*/
+	_multiply(other_query) {
+		let result = new Query();
 		for (let cube of this.union) {
-			result = result._andCube(cube);
+			result = result.orQuery(other_query._andCube(cube));
 		}
 		return result;
 	}
@@ -377,6 +871,51 @@ class Query {
 		return this.andConstraint(obj);
 	}
 
+	/** Create a new query that will return the results not returned by this query.
+	*
+	* The negation of each cube in the union is the union of negations of each of its constraints, and
+	* the negation of the union is the intersection of the negated cubes. Thus:
+	* ```
+	* Query.from({ x: [,5], y: 2 }).not()
+	* ```
+	* is equivalent to `Query.from({ x: [5,] }).or({ y: { $not: 2 } }).or({ x: { $null: true } }).or({ y: { $null: true } })`.
+	* Since a constraint on a value never matches an item where the value is missing or null, such items are 
+	* always in the negation of the constraint.
+	*
+	* @returns {Query} a new query containing everything not contained in this query
+	*/
+	not() {
+		return complementOf(this);
+	}
+
+	/** Create a new query that will return results in this query that are not in some other query or constraint.
+	*
+	* The result is built from cubes which contain simple ranges wherever possible, so it can be used to determine
+	* what data must be fetched to complete a cached result set. For example:
+	* ```
+	* Query.from({ x: [1,10] }).minus({ x: [3,5] })
+	* ```
+	* is equivalent to `Query.from({ x: [1,3] }).or({ x: [5,10] })`.
+	*
+	* @param {Query|Query~ConstraintObject} obj - the other query or constraint
+	* @returns {Query} a new query, or null if every result of this query is also a result of obj
+	*/
+	minus(obj) {
+		let other_query = obj instanceof Query ? obj : new Query([ obj instanceof Cube ? obj : new Cube(obj) ]);
+		let result = new Query();
+		for (let cube of this.union) {
+			let remainder = [ cube ];
+			for (let other_cube of other_query.union) {
+				remainder = Stream.from(remainder)
+					.map(remaining_cube => remaining_cube.difference(other_cube))
+					.reduce((cubes, difference) => cubes.concat(difference), []);
+				checkCubes(remainder.length);
+			}
+			result = result.orQuery(new Query(remainder));
+		}
+		return result.union.length > 0 ? result : null;
+	}
+
 	/** Establish if this results of this query would be a superset of the given query.
 	*
 	* @param {Query} other_query - the other query
@@ -397,11 +936,13 @@ class Query {
 	* @returns true if cube is a subset of this one, false if it isn't, null if containment is indeterminate
 	*/
 	_containsCube(cube) {
+		let result = false;
 		for (let c of this.union) {
 			let contains_cube = c.contains(cube);
-			if (contains_cube || contains_cube === null) return contains_cube;
+			if (contains_cube) return contains_cube;
+			if (contains_cube === null) result = null;
 		}
-		return false;
+		return result;
 	}
 
 	/** Establish if a specific data item should be in the results of this query
@@ -415,6 +956,7 @@ class Query {
 	* @returns true, false or null
 	*/
 	containsItem(item) {
+		if (this.clauses) return Stream.from(this.clauses).every(clause => clause.containsItem(item));
 		for (let c of this.union) {
 			let contains_item = c.containsItem(item);
 			if (contains_item || contains_item === null) return contains_item;
@@ -461,9 +1003,9 @@ class Query {
 		for (let constraint of this.union) {
 			let index = unmatched.findIndex(item => constraint.equals(item));
 			if (index < 0) return false;
-			delete unmatched[index];
+			unmatched.splice(index, 1);
 		}
-		return unmatched.reduce(a=>a+1,0) === 0; // Array.length not change by delete
+		return unmatched.length === 0;
 	}
 
 	/** Establish if this result of this query is the same as the given cube.
@@ -497,6 +1039,36 @@ class Query {
 		return this.equalsConstraint(obj);
 	}
 
+	/** Establish if this query can return any results.
+	*
+	* A parametrized query may be empty for some parameter values and not others, thus:
+	* ```
+	* Query.from({ x: [$.low, $.high] }).isEmpty()
+	* ```
+	* will return null, while `Query.from({ x: [$.low, 5] }).and({ x: [6,10] }).isEmpty()` returns true.
+	*
+	* A query held as clauses is only known to be empty without calculating its canonical form if one of its clauses
+	* is empty.
+	*
+	* @returns true if this query can never return results, false if it can, null if this depends on parameter values
+	* @throws {QueryComplexityError} if the canonical form of this query has too many cubes
+	*/
+	isEmpty() {
+		if (this.clauses && this.clauses.some(clause => clause.isEmpty() === true)) return true;
+		return Stream.from(this.union).every(cube => cube.isEmpty());
+	}
+
+	/** Establish if this query will return every item.
+	*
+	* Determined by checking whether the complement of this query is empty, so may be expensive for large queries.
+	*
+	* @returns true if this query matches every item, false if it doesn't, null if this depends on parameter values
+	*/
+	isUniversal() {
+		if (this.union.some(cube => Stream.fromProperties(cube).every(([dimension,range]) => range.isUniversal()))) return true;
+		return complementOf(this).isEmpty();
+	}
+
 	/** Bind a set of paramters to a query. 
 	*
 	* Property values from the parameters object are used to fill in values for any parameters that
@@ -509,10 +1081,38 @@ class Query {
 	* ```
 	* will return something like `height >= 12 and height < 16`.
 	*
+	* Parameters with no value are left in the new query, and values for parameters which are not used in
+	* this query are ignored, unless the strict option is set.
+	*
 	* @param {Object} parameter values
-	* @returns {Query} new query, with parameter values set.
+	* @param {Object} [options] - options
+	* @param {boolean} [options.strict=false] - if true, throw an error if any parameter is left without a value, or a value is given for an unknown parameter
+	* @returns {Query} new query, with parameter values set, or null if the bound query can never return results (in
+	* strict mode as well)
+	* @throws {ParameterError} if a parameter value is invalid, or in strict mode if a parameter is unknown or has no value
 	*/
-	bind(parameters) {
+	bind(parameters, { strict = false } = {}) {
+		if (strict) {
+			let { query, unbound, unused } = this.bindPartial(parameters);
+			if (unused.length > 0) throw new ParameterError(unused[0], `Unknown parameter $${unused[0]}`);
+			if (unbound.length > 0) throw new ParameterError(unbound[0], `No value for parameter $${unbound[0]}`);
+			return query;
+		}
+
+		if (this.clauses) {
+			let clauses = this.clauses.map(clause => clause.bind(parameters));
+			if (clauses.includes(null)) return null;
+			// Clauses may contradict each other, as in (x=1 or x=2) and (x=3 or x=4), which is only found by 
+			// expanding them; a query too large to expand is returned as it is
+			let query = conjunction(clauses);
+			try {
+				return query.isEmpty() === true ? null : query;
+			} catch (err) {
+				if (err instanceof QueryComplexityError) return query;
+				throw err;
+			}
+		}
+
 		let cubes = Stream
 			.from(this.union)
 			.map(cube => cube.bind(parameters))
@@ -522,6 +1122,94 @@ class Query {
 		return cubes.length > 0 ? new Query(cubes) : null;
 	}
 
+	/** Bind a set of parameters to a query, and report which parameters are left without a value
+	*
+	* Unlike bind, no error is thrown if a required parameter has no value; it is left in the new query, and listed
+	* in `unbound`.
+	*
+	* @param {Object} parameters - parameter values
+	* @returns {Object} an object with a `query` property containing the new query (or null, as for bind), an 
+	* `unbound` property listing the names of parameters in the new query which have no value, and an `unused`
+	* property listing the names of parameter values which are not used by this query.
+	* @throws {ParameterError} if a parameter value is invalid
+	*/
+	bindPartial(parameters) {
+		let names = this.parameters().map(parameter => parameter.name);
+		let unused = Object.keys(parameters).filter(name => parameters[name] !== undefined && !names.includes(name));
+		let query = this.bind(Object.assign({ [PARTIAL]: true }, parameters));
+		let unbound = query === null ? [] : query.parameters().map(parameter => parameter.name);
+		return { query, unbound, unused };
+	}
+
+	/** Find the parameters used in this query
+	*
+	* Parameters are reported in the order in which they are first found. Dimensions in subqueries are given 
+	* as a path, in the same way as in the default expression format; thus the parameter in
+	* `Query.from({ expertise: { $has: { language: $.language } } })` constrains the dimension 'expertise.language'.
+	* Operators are those used in expressions, so that `{ x: { $not: $.x } }` uses the operator '!='.
+	*
+	* A parameter used both with and without a type is reported with its type.
+	*
+	* @returns {Query~Parameter[]} a description of each parameter
+	* @throws {ParameterError} if a parameter is used with two different types
+	*/
+	parameters() {
+		let parameters = new Map();
+		for (let { param, dimension, operator } of this._paramUses()) {
+			let parameter = parameters.get(param.$);
+			// Where a parameter is used in an expression (e.g. $.a.add(5)), report the parameter itself 
+			if (!parameter) parameters.set(param.$, parameter = { name: param.$, param: param.param || param, dimensions: [], operators: [] });
+			if (!parameter.param.accepts(param))
+				throw new ParameterError(param.$, `Parameter $${param.$} is used as both ${parameter.param.type} and ${param.type}`);
+			if (parameter.param.type === undefined && param.type !== undefined) parameter.param = param.param || param;
+			if (!parameter.dimensions.includes(dimension)) parameter.dimensions.push(dimension);
+			if (!parameter.operators.includes(operator)) parameter.operators.push(operator);
+		}
+		return Array.from(parameters.values());
+	}
+
+	/** Find each use of a parameter in this query
+	*
+	* @private
+	* @param {string} [path] - path to this query, if it is a subquery
+	* @returns {Array<Object>} for each use of a parameter, an object with param, dimension, and operator properties
+	*/
+	_paramUses(path) {
+		let uses = [];
+		for (let query of clausesOf(this))
+			for (let cube of query.union)
+				Stream.fromProperties(cube).forEach(([dimension,range]) => 
+					uses.push(...range._paramUses(path ? path + '.' + dimension : dimension))
+				);
+		return uses;
+	}
+
+	/** Create a fast predicate function for filtering
+	*
+	* The function returns exactly the same results as containsItem, but the structure of the query is examined 
+	* only once, when compile is called, rather than for every item. Thus:
+	* ```
+	* let results = data.filter(query.compile());
+	* ```
+	* is much faster than using `query.predicate` on large arrays.
+	*
+	* @returns {Function} a function that returns true if its parameter is matched by this query, false if it isn't, null if this depends on parameter values
+	*/
+	compile() {
+		if (this.clauses) {
+			let clauses = this.clauses.map(clause => clause.compile());
+			return item => Stream.from(clauses).every(clause => clause(item));
+		}
+		let cubes = this.union.map(cube => cube.compile());
+		return item => {
+			for (let cube of cubes) {
+				let contains_item = cube(item);
+				if (contains_item || contains_item === null) return contains_item;
+			}
+			return false;
+		};
+	}
+
 	/** Convenience property for filtering
 	*
 	* Given a query, query.predicate is equal to item=>this.contains(item);
@@ -534,4 +1222,6 @@ class Query {
 
 }
 
-module.exports = Query;
\ No newline at end of file
+module.exports = Query;
+
+const Parser = require('./parser');
\ No newline at end of file
@@ -48,17 +48,56 @@ class Comparator {
 	static params(a,b) 		{ return Param.isParam(a) || Param.isParam(b); }
 	/** @returns true if a and b are both the same parameter */
 	static paramsEqual(a,b) { return Param.isParam(a) && Param.isParam(b) && a.equals(b); }
+	/** @returns true if a or b is a parameter with a type that the other can't have */
+	static typesDiffer(a,b) { return Param.isParam(a) && !a.accepts(b) || Param.isParam(b) && !b.accepts(a); }
+
+	/** Find the difference between a and b where both are expressions of the same parameter
+	*
+	* Offsets can only be compared using the default order, but the same expression is always equal to itself. 
+	*
+	* @returns {number} a - b, or undefined if the difference depends on parameter values
+	*/
+	difference(a,b) {
+		if (!Param.isParam(a) || !Param.isParam(b)) return undefined;
+		if (a.equals(b)) return 0;
+		return this.order === DEFAULT_ORDER ? Param.difference(a,b) : undefined;
+	}
 
 	/** @returns {boolean} true if a = b or a and b are both the same parameter, null if either is a parameter and they are not equal, false otherwise */ 
-	equals(a,b)				{ return Comparator.paramsEqual(a,b) || (Comparator.params(a,b) ? null : !this.order(a,b) && !this.order(b,a)); }
+	equals(a,b) {
+		if (!Comparator.params(a,b)) return !this.order(a,b) && !this.order(b,a);
+		let difference = this.difference(a,b);
+		if (difference === undefined) return Comparator.typesDiffer(a,b) ? false : null;
+		return difference === 0;
+	}
+
 	/** @returns {boolean} true if a < b or null if a or b is a parameter */
-	lessThan(a,b) 			{ return Comparator.params(a,b) ? (Comparator.paramsEqual(a,b) ? false : null) : this.order(a,b); }
+	lessThan(a,b) {
+		if (!Comparator.params(a,b)) return this.order(a,b);
+		let difference = this.difference(a,b);
+		return difference === undefined ? null : difference < 0;
+	}
+
 	/** @returns {boolean} true if a > b or null if a or b is a parameter */
-	greaterThan(a,b) 		{ return Comparator.params(a,b) ? (Comparator.paramsEqual(a,b) ? false : null) : this.order(b,a); }
-	/** @returns {boolean} true if a <= b or a and b are both the same parameter, null if either is a parameter and they are not equal, false otherwise */
-	greaterThanOrEqual(a,b) { return Comparator.paramsEqual(a,b) || (Comparator.params(a,b) ? null : !this.order(a,b)); }
+	greaterThan(a,b) {
+		if (!Comparator.params(a,b)) return this.order(b,a);
+		let difference = this.difference(a,b);
+		return difference === undefined ? null : difference > 0;
+	}
+
 	/** @returns {boolean} true if a >= b or a and b are both the same parameter, null if either is a parameter and they are not equal, false otherwise */
-	lessThanOrEqual(a,b) 	{ return Comparator.paramsEqual(a,b) || (Comparator.params(a,b) ? null : !this.order(b,a)); }
+	greaterThanOrEqual(a,b) {
+		if (!Comparator.params(a,b)) return !this.order(a,b);
+		let difference = this.difference(a,b);
+		return difference === undefined ? null : difference >= 0;
+	}
+
+	/** @returns {boolean} true if a <= b or a and b are both the same parameter, null if either is a parameter and they are not equal, false otherwise */
+	lessThanOrEqual(a,b) {
+		if (!Comparator.params(a,b)) return !this.order(b,a);
+		let difference = this.difference(a,b);
+		return difference === undefined ? null : difference <= 0;
+	}
 }
 
 
@@ -88,11 +127,68 @@ class Range {
 	* | "$and"			| Range.and 				|
 	* | "$has"			| Range.has 				|
 	* | "$hasAll"		| Range.hasAll 				|
+	* | "!="			| Range.notEquals 			|
+	* | "$in"			| Range.in 					|
+	* | "$nin"			| Range.nin 				|
+	* | "$prefix"		| Range.startsWith 			|
+	* | "$regex"		| Range.regex 				|
+	* | "$like"			| Range.like 				|
+	* | "$exists"		| Range.exists 				|
+	* | "$null"			| Range.isNull 				|
+	* | "$not"			| Range.not 				|
+	* | "$match"		| Range.subquery(Query.fromJSON(value)) |
 	*/
 	static get OPERATORS() {
 		return RANGE_OPERATORS;
 	}
 
+	/** Depth of nesting of subqueries in this range
+	* @returns {number} 0 if this range contains no subqueries
+	*/
+	get depth() {
+		return 0;
+	}
+
+	/** Create a function which determines whether a value is in this range
+	*
+	* The function returns exactly the same results as containsItem, but does not need to examine the structure
+	* of the range each time it is called.
+	*
+	* @returns {Function} a function that takes a value and returns true if it is in this range, false if it isn't, null if this depends on parameter values
+	*/
+	compile() {
+		return item => this.containsItem(item);
+	}
+
+	/** Find the parameters used in this range
+	*
+	* @private
+	* @param {string} dimension - name of the dimension constrained by this range
+	* @returns {Array<Object>} for each use of a parameter, an object with param, dimension, and operator properties
+	*/
+	_paramUses(dimension) {
+		return Param.isParam(this.value) ? [ { param: this.value, dimension, operator: this.operator } ] : [];
+	}
+
+	/** Determine if this range contains no values at all
+	*
+	* Operations which would create an empty range return null instead, so a range is only empty if the
+	* values of its parameters are such that its bounds are exclusive.
+	*
+	* @returns {boolean} true if range is empty, false if not, null if this depends on parameter values
+	*/
+	isEmpty() {
+		return false;
+	}
+
+	/** Determine if this range contains every value, including missing and null values
+	*
+	* @returns {boolean} true if range contains every value
+	*/
+	isUniversal() {
+		return false;
+	}
+
 	/** @typedef {Object|Param|Param~ParamObject} Range~SimpleValue
 	*
 	* A value that can be used as a parameter when creating a simple range (e.g. with Range.equals, Range.lessThan, etc)
@@ -169,6 +265,12 @@ class Range {
 		return new Unbounded();
 	}
 
+	/** Provide access to the default ordering function (which uses the javascript < operator)
+	*/
+	static get DEFAULT_ORDER() {
+		return DEFAULT_ORDER;
+	}
+
 	/** @typedef {Range~BetweenValue|Query} Range~AnyValue
 	* Anything that can be converted into a range.
 	*/
@@ -187,7 +289,7 @@ class Range {
 		let intersection = Range.UNBOUNDED;
 
 		for (let i=0; i < ranges.length && intersection != null; i++) {
-			intersection = intersection.intersect(Range.fromValue(ranges[i], order));
+			intersection = intersection.intersect(Range.from(ranges[i], order));
 		}
 
 		return intersection;
@@ -230,7 +332,7 @@ class Range {
 	* @returns {Range} a Range object
 	*/
 	static has(bounds) {
-		return new HasElementsMatching([Range.fromValue(bounds)]);
+		return new HasElementsMatching([Range.from(bounds)]);
 	}
 
 	/** Create a range which includes items containing an array which has elements within a range
@@ -246,12 +348,233 @@ class Range {
 	* ```
 	* 	{ tags: Range.hasAll( [Range.equals('javascript'),Range.equals('framework')] ) }
 	* ```
-	* @param bounds {Range[]} ranges that select items in the array
+	* A parameter may be given in place of the bounds, as in `{ tags: { $hasAll: $.tags } }`; the parameter must be
+	* bound to an array of values, each of which is an element the array must contain.
+	*
+	* @param bounds {Range[]|Param} ranges that select items in the array, or a parameter
 	* @returns {Range} a Range object
 	*/
 	static hasAll(bounds) {
-		return new HasElementsMatching(bounds.map(bound=>Range.fromValue(bound)));
-	}	
+		if (Param.isParamObject(bounds)) return new HasElementsMatching([ new AllElements(collectionParam(Param.from(bounds))) ]);
+		return new HasElementsMatching(bounds.map(bound=>Range.from(bound)));
+	}
+
+	/** Create a range containing any of a set of values
+	*
+	* A constraint like:
+	* ```
+	* 	{ grade: { $in: ['A','B'] } }
+	* ```
+	* selects objects where grade is 'A' or 'B'; it is equivalent to `Query.from({grade: 'A'}).or({grade: 'B'})`
+	* but is much more compact.
+	*
+	* A parameter may be given in place of the values, as in `{ grade: { $in: $.grades } }`. The parameter must 
+	* be bound to an array, and is expanded into the values of the range when the query is bound.
+	*
+	* @param {Range~SimpleValue[]|Param} values - values to search for, or a parameter
+	* @param {Range~OrderingFunction} [order=DEFAULT_ORDER] - compare two values and return true if the first is less than the second.
+	* @returns {Range} a Range object, or null if no values are given
+	*/
+	static in(values, order=DEFAULT_ORDER) {
+		if (Param.isParamObject(values)) values = [ collectionParam(Param.from(values)) ];
+		return In.create(values.map(value => Param.isParamObject(value) ? Param.from(value) : value), Range.UNBOUNDED, order);
+	}
+
+	/** Create a range containing strings which start with a given prefix
+	*
+	* A constraint like:
+	* ```
+	* 	{ name: { $prefix: 'Ess' } }
+	* ```
+	* selects objects where the name starts with 'Ess'. 
+	*
+	* @param {Range~SimpleValue} value - prefix string
+	* @param {Range~OrderingFunction} [order=DEFAULT_ORDER] - compare two values and return true if the first is less than the second.
+	* @returns {Range} a Range object
+	*/
+	static startsWith(value, order=DEFAULT_ORDER) {
+		return new Prefix(Param.isParamObject(value) ? Param.from(value) : value, order);
+	}
+
+	/** Create a range containing strings which match a regular expression
+	*
+	* Note that it is not generally possible to determine if one regular expression matches a subset of
+	* the strings matched by another, so `contains` and `equals` will often return null for these ranges.
+	*
+	* @param {RegExp|string|Param} pattern - regular expression (or source of a regular expression) to match
+	* @param {Range~OrderingFunction} [order=DEFAULT_ORDER] - compare two values and return true if the first is less than the second.
+	* @returns {Range} a Range object
+	*/
+	static regex(pattern, order=DEFAULT_ORDER) {
+		if (pattern instanceof RegExp) return new Regex(pattern.source, pattern.flags.replace(/[gy]/g, ''), Range.UNBOUNDED, order);
+		return new Regex(Param.isParamObject(pattern) ? Param.from(pattern) : pattern, '', Range.UNBOUNDED, order);
+	}
+
+	/** Create a range containing strings which match an SQL-style 'like' pattern
+	*
+	* In the pattern, '%' matches any number of characters and '_' matches any single character. Use '\\'
+	* to escape either character. A pattern with no wildcards is equivalent to Range.equals.
+	*
+	* @param {string|Param} pattern - pattern to match
+	* @param {Range~OrderingFunction} [order=DEFAULT_ORDER] - compare two values and return true if the first is less than the second.
+	* @returns {Range} a Range object
+	*/
+	static like(pattern, order=DEFAULT_ORDER) {
+		if (Param.isParamObject(pattern)) return new Like(Param.from(pattern), Range.UNBOUNDED, order);
+		if (!/(^|[^\\])(\\\\)*[%_]/.test(pattern)) return Range.equals(pattern.replace(/\\(.)/g, '$1'), order);
+		return new Like(pattern, Range.UNBOUNDED, order);
+	}
+
+	/** Create a range containing values not equal to a given value
+	*
+	* @param {Range~SimpleValue} value - value to exclude
+	* @param {Range~OrderingFunction} [order=DEFAULT_ORDER] - compare two values and return true if the first is less than the second.
+	* @returns {Range} a Range object
+	*/
+	static notEquals(value, order=DEFAULT_ORDER) {
+		return Range.not(Range.equals(value, order));
+	}
+
+	/** Create a range containing any value not in a set of values
+	*
+	* @param {Range~SimpleValue[]|Param} values - values to exclude, or a parameter (see Range.in)
+	* @param {Range~OrderingFunction} [order=DEFAULT_ORDER] - compare two values and return true if the first is less than the second.
+	* @returns {Range} a Range object
+	*/
+	static nin(values, order=DEFAULT_ORDER) {
+		let range = Range.in(values, order);
+		return range === null ? Range.UNBOUNDED : Range.not(range);
+	}
+
+	/** Create a range which checks whether a value exists
+	*
+	* A value exists if it is present, even if it is null. All other ranges (except Range.UNBOUNDED) only
+	* contain values which are present and not null.
+	*
+	* @param {boolean} [exists=true] - if false, range contains only missing values
+	* @returns {Range} a Range object
+	*/
+	static exists(exists=true) {
+		return exists ? new Exists(false, true, true) : new Exists(true, false, false);
+	}
+
+	/** Create a range which checks whether a value is null
+	*
+	* A missing value is treated as null.
+	*
+	* @param {boolean} [is_null=true] - if false, range contains all values which are present and not null
+	* @returns {Range} a Range object
+	*/
+	static isNull(is_null=true) {
+		return is_null ? new Exists(true, true, false) : new Exists(false, false, true);
+	}
+
+	/** Create a range containing all the values not in the given range
+	*
+	* Where the complement of a range can be expressed as a simple range, that range is returned. Thus
+	* `Range.not(Range.lessThan(5))` is equivalent to `Range.greaterThanOrEqual(5)`. Otherwise a range
+	* which explicitly excludes the given range is created; so a constraint like:
+	* ```
+	* 	{ x: { $not: [1,5] } }
+	* ```
+	* selects objects where x is less than 1 or greater than or equal to 5.
+	*
+	* Like other value ranges, the result never contains missing or null values, unless the given range is a range on
+	* whether a value is missing, null or defined (as created by Range.exists or Range.isNull); that is complemented
+	* exactly, so `Range.not(Range.isNull())` contains only defined values, but the complement of a range containing
+	* only null values contains missing and defined values. Use Range.complement to find everything not in a range.
+	*
+	* @param {Range~AnyValue|Range~BetweenValue[]} range - range of values to exclude
+	* @param {Range~OrderingFunction} [order=DEFAULT_ORDER] - compare two values and return true if the first is less than the second.
+	* @returns {Range} a Range object, or null if the resulting range is empty.
+	*/
+	static not(range, order=DEFAULT_ORDER) {
+		range = Range.from(range, order);
+
+		if (range.operator === Unbounded.OPERATOR) return null;
+		if (range.operator === Not.OPERATOR && range.bounds.operator === Unbounded.OPERATOR && range.excluded.length === 1)
+			return range.excluded[0];
+
+		let complement = complementOf(range);
+		if (complement && complement.length === 1) return complement[0];
+
+		return new Not(Range.UNBOUNDED, [range]);
+	}
+
+	/** Find ranges which together contain everything not in a range, including missing and null values
+	*
+	* Range.not only contains values which are present and not null. The complement also contains missing and
+	* null values unless the given range contains them; thus the complement of `{ '<': 5 }` is `{ '>=': 5 }` and 
+	* `{ $null: true }`.
+	*
+	* @param {Range} range - a range
+	* @returns {Range[]} disjoint ranges which together contain every value, missing or not, which is not in range
+	*/
+	static complement(range) {
+		if (range.operator === Exists.OPERATOR) return complementOf(range).filter(part => part !== null);
+		return [ Range.not(range), missingComplementOf(range) ].filter(part => part !== null);
+	}
+
+	/** Find the values in one range that are not in another
+	*
+	* Where possible the result is expressed as simple ranges, so the difference between [1,10) and [3,5)
+	* is the two ranges [1,3) and [5,10). Missing and null values are included where range contains them
+	* and other does not (see Range.complement).
+	*
+	* @param {Range} range - range of values to include
+	* @param {Range} other - range of values to exclude
+	* @returns {Range[]} disjoint ranges which together contain every value in range that is not in other
+	*/
+	static difference(range, other) {
+		// Split the complement into simple ranges where possible
+		let complement = other.operator === Exists.OPERATOR 
+			? complementOf(other) 
+			: [ ...(complementOf(other) || [ Range.not(other) ]), missingComplementOf(other) ];
+		return complement
+			.filter(part => part !== null)
+			.map(part => range.intersect(part))
+			.filter(part => part !== null);
+	}
+
+	/** Find a single range containing all the values in either of two ranges
+	*
+	* Ranges on a scalar value can be combined where they overlap or are adjacent; thus the union of [1,3) and
+	* [3,5) is [1,5), and the union of `{ '<': 3 }` and `{ '=': 3 }` is `{ '<=': 3 }`. The union of equals and
+	* $in ranges is an $in range, and the union of a range and its complement is `{ $null: false }`. Other ranges
+	* can only be combined if one contains the other.
+	*
+	* @param {Range} range - a range
+	* @param {Range} other - another range
+	* @returns {Range} a range containing exactly the values in range or other, or null if no such range can be found
+	*/
+	static union(range, other) {
+		if (range.contains(other) === true) return range;
+		if (other.contains(range) === true) return other;
+
+		if (range.operator === Exists.OPERATOR && other.operator === Exists.OPERATOR)
+			return Exists.create(range.missing || other.missing, range.null || other.null, range.defined || other.defined);
+
+		// e.g. { '=': 1 } and { '!=': 1 } together contain every defined value
+		let defined = Range.isNull(false);
+		if (Range.difference(defined, range).every(part => other.contains(part) === true)) return defined;
+
+		let order = range.comparator && range.comparator.order;
+		if (!order || !other.comparator || other.comparator.order !== order) return null;
+
+		let values = valuesOf(range);
+		let other_values = valuesOf(other);
+		if (values && other_values) return Range.in([ ...values, ...other_values ], order);
+
+		let lower = looserBound(lowerBoundOf(range), lowerBoundOf(other));
+		let upper = looserBound(upperBoundOf(range), upperBoundOf(other));
+		if (lower === null || upper === null) return null;
+
+		// Value ranges never contain missing or null values, so a range with no bounds contains any defined value
+		let hull = lower && upper ? Range.between(lower, upper) : lower || upper || Range.isNull(false);
+
+		// The ranges are adjacent or overlapping if every value in hull but not in range is in other
+		return Range.difference(hull, range).every(part => other.contains(part) === true) ? hull : null;
+	}
 
 	/** Check to see if an object is a Range 
 	*
@@ -270,17 +593,21 @@ class Range {
 
 	/** Create a range from a bounds object
 	*
+	* A `$regex` bounds object may also have an `$options` property containing regular expression flags.
+	*
 	* @param {Range~Bounds} obj
+	* @param {Range~OrderingFunction} [order=DEFAULT_ORDER] - compare two values and return true if the first is less than the second.
 	* @return {Range} a range if obj is a bounds object, null otherwise
 	*/
-	static fromBounds(obj) {
+	static fromBounds(obj, order = DEFAULT_ORDER) {
 		let propname = Object.keys(obj)[0];
 		let constructor = Range.OPERATORS[propname];
 		
 		if (constructor) { 
 			let value = obj[propname];
 			value = Param.isParamObject(value) ? Param.from(value) : value;
-			return constructor(value, DEFAULT_ORDER);
+			if (propname === '$regex' && obj.$options && typeof value === 'string') value = new RegExp(value, obj.$options);
+			return constructor(value, order);
 		} 
 
 		return null;
@@ -297,6 +624,7 @@ class Range {
 	* | undefined		 | 			| undefined
 	* | Range 			 | 			| obj
 	* | Query 			 | 			| Range.subquery(obj)
+	* | RegExp 		 | 			| Range.regex(obj)
 	* | Range~Bounds 	 | 			| Range.fromBounds(obj)
 	* | Param 			 | 			| default_constructor(obj, order)
 	* | Param~ParamObject| 			| default_constructor(Param.from(obj), order)
@@ -348,6 +676,23 @@ class Range {
 
 		return Range.fromValue(bounds, Range.equals, order)
 	}
+
+	/** Create a range from its JSON representation.
+	*
+	* The JSON representation of a range (as returned by toJSON) is a value accepted by Range.from, except
+	* that bounds objects for ranges with a custom order have an additional `order` property containing
+	* the name of the ordering function. Thus `Range.lessThan(5, byLength).toJSON()` returns
+	* `{ '<': 5, order: 'byLength' }`, which can be converted back into a range with
+	* `Range.fromJSON(json, { byLength })`.
+	*
+	* @param json - JSON representation of a range
+	* @param {Object<string,Range~OrderingFunction>} [orders={}] - custom ordering functions, by name
+	* @returns {Range} a range
+	* @throws {RangeError} if json refers to an order which is not in orders
+	*/
+	static fromJSON(json, orders = {}) {
+		return Range.from(reviveOrders(json, orders));
+	}
 }
 
 /** Map range operators to constructors
@@ -359,9 +704,19 @@ var RANGE_OPERATORS = {
 	">=" 	: Range.greaterThanOrEqual,
 	"<=" 	: Range.lessThanOrEqual,
 	"="	 	: Range.equals,
+	"!="	: Range.notEquals,
 	"$and" 	: Range.and,
 	"$has" 	: Range.has,
-	"$hasAll" : Range.hasAll
+	"$hasAll" : Range.hasAll,
+	"$in"	: Range.in,
+	"$nin"	: Range.nin,
+	"$prefix" : Range.startsWith,
+	"$regex" : Range.regex,
+	"$like"	: Range.like,
+	"$exists" : Range.exists,
+	"$null"	: Range.isNull,
+	"$not"	: Range.not,
+	"$match" : query => Range.subquery(Query.isQuery(query) ? query : Query.fromJSON(query))
 }
 
 /** Range representing an unbounded data set [i.e. no constraint on data returned]
@@ -386,6 +741,14 @@ class Unbounded extends Range {
 		return true;
 	}
 
+	compile() {
+		return item => true;
+	}
+
+	isUniversal() {
+		return true;
+	}
+
 	/** unbounded interection with range always returns range. */
 	intersect(range) {
 		return range;
@@ -404,7 +767,7 @@ class Unbounded extends Range {
 	}
 
 	toJSON() {
-		return this.value;
+		return { $and : [] };
 	}
 
 	bind(parameters) {
@@ -429,6 +792,39 @@ class OpenRange extends Range {
 		return formatter.operExpr(dimension, this.operator, this.value, context); 
 	}
 
+	/** Check whether the bound of this range can be compared to the bound of another open range
+	*
+	* Bounds can be compared if neither is a parameter, or if both are expressions of the same parameter.
+	*
+	* @private
+	* @param {Range} range - another open range (or an Equals range)
+	* @returns true if the bounds can be compared
+	*/
+	_comparable(range) {
+		return !Comparator.params(this.value, range.value) || this.comparator.difference(this.value, range.value) !== undefined;
+	}
+
+	/** Check whether another range decides for itself if it is contained by an open range, using containedBy
+	*
+	* @private
+	* @param {Range} range - another range
+	* @returns true if range is an intersection, negation, set, prefix or pattern range
+	*/
+	_delegatesContainment(range) {
+		return range.operator === Intersection.OPERATOR || range.operator === Not.OPERATOR || range.operator === In.OPERATOR 
+			|| range.operator === Prefix.OPERATOR || range instanceof Pattern;
+	}
+
+	/** Check whether another range calculates its own intersection with an open range
+	*
+	* @private
+	* @param {Range} range - another range
+	* @returns true if range is not a simple bound or equals range
+	*/
+	_delegatesIntersection(range) {
+		return range.operator === Between.OPERATOR || range.operator === Exists.OPERATOR || this._delegatesContainment(range);
+	}
+
 	equals(range)	{ 
 		return this.operator === range.operator && this.comparator.equals(this.value,range.value); 
 	}
@@ -438,11 +834,7 @@ class OpenRange extends Range {
 	}
 
 	toBoundsObject() {
-		if (this.comparator.order === DEFAULT_ORDER) {					
-			return { [this.operator] : this.value }
-		} else {
-			return { [this.operator] : this.value, order : this.comparator.order.name }
-		}	
+		return withOrder({ [this.operator] : this.value }, this.comparator);
 	}
 
 	toJSON() {
@@ -474,16 +866,32 @@ class Between extends Range {
 
 	get comparator() { return this.lower_bound.comparator || this.upper_bound.comparator; }
 
+	// Bounds are checked when the range is created, unless one is parametrized
+	isEmpty() {
+		return Param.isParam(this.lower_bound.value) || Param.isParam(this.upper_bound.value) ? null : false;
+	}
+
 	contains(range) {
 		return this.lower_bound.contains(range) && this.upper_bound.contains(range);
 	}
 
 	containsItem(item) {
-		return this.lower_bound.containsItem(range) && this.upper_bound.containsItem(range);
+		return Stream.of(this.lower_bound, this.upper_bound).every(bound => bound.containsItem(item));
+	}
+
+	compile() {
+		let bounds = [ this.lower_bound.compile(), this.upper_bound.compile() ];
+		return item => every(bounds, bound => bound(item));
+	}
+
+	_paramUses(dimension) {
+		return [ ...this.lower_bound._paramUses(dimension), ...this.upper_bound._paramUses(dimension) ];
 	}
 
 	intersect(range) {
 		if (range.operator === Unbounded.OPERATOR) return this;
+		if (range.operator === Not.OPERATOR || range.operator === In.OPERATOR || range.operator === Prefix.OPERATOR || range instanceof Pattern || range.operator === Exists.OPERATOR) 
+			return range.intersect(this);
 		if (range.operator === Between.OPERATOR) {
 			let lower_bound = this.lower_bound.intersect(range.lower_bound);
 			let upper_bound = this.upper_bound.intersect(range.upper_bound);
@@ -495,11 +903,19 @@ class Between extends Range {
 			if (result) result = result.intersect(this.upper_bound);
 			return result;
 		}
-		if (range.operator === LessThan.OPERATOR || range.operator === LessThanOrEqual.OPERATOR)
-			return this.upper_bound.intersect(range).intersect(this.lower_bound);
-		if (range.operator === GreaterThan.OPERATOR || range.operator === GreaterThanOrEqual.OPERATOR)
-			return this.lower_bound.intersect(range).intersect(this.upper_bound);
-		if (range.operator === HasElementMatching.OPERATOR)
+		if (range.operator === LessThan.OPERATOR || range.operator === LessThanOrEqual.OPERATOR) {
+			let result = this.upper_bound.intersect(range);
+			return result && result.intersect(this.lower_bound);
+		}
+		if (range.operator === GreaterThan.OPERATOR || range.operator === GreaterThanOrEqual.OPERATOR) {
+			let result = this.lower_bound.intersect(range);
+			return result && result.intersect(this.upper_bound);
+		}
+		if (range.operator === Equals.OPERATOR) {
+			let result = this.lower_bound.intersect(range);
+			return result && result.intersect(this.upper_bound);
+		}
+		if (range.operator === HasElementsMatching.OPERATOR)
 			throw new TypeError("Can't mix array operations and scalar operations on a single field");
 
 		return null;
@@ -528,12 +944,12 @@ class Between extends Range {
 		if (this.lower_bound.comparator.order === DEFAULT_ORDER && this.lower_bound.operator === GreaterThanOrEqual.OPERATOR)
 			lower_bound_json = this.lower_bound.value;
 		else  
-			lower_bound_json = lhis.lower_bound.toBoundsObject();
+			lower_bound_json = this.lower_bound.toBoundsObject();
 
 		if (this.upper_bound.comparator.order === DEFAULT_ORDER && this.upper_bound.operator === LessThan.OPERATOR)
 			upper_bound_json = this.upper_bound.value;
 		else  
-			upper_bound_json = lhis.upper_bound.toBoundsObject();
+			upper_bound_json = this.upper_bound.toBoundsObject();
 
 
 		return [ lower_bound_json, upper_bound_json ];
@@ -568,9 +984,16 @@ class Equals extends Range {
 
 
 	containsItem(item) {
+		if (isMissing(item)) return false;
 		return Param.isParam(this.value) ? null : this.comparator.equals(this.value, item);
 	}
 
+	compile() {
+		if (Param.isParam(this.value)) return super.compile();
+		let { value, comparator: { order } } = this;
+		return item => !isMissing(item) && !order(value, item) && !order(item, value);
+	}
+
 	intersect(range) {
 		if (range.operator !== Equals.OPERATOR) 
 			return (range.intersect(this));
@@ -590,93 +1013,583 @@ class Equals extends Range {
 	toString()							{ return this.toJSON().toString(); }
 
 	toBoundsObject() {
-		return { [this.operator] : this.value }
+		return withOrder({ [this.operator] : this.value }, this.comparator);
 	}
 
 	toJSON() {
-		return this.value;
+		// An object or array on its own would be read back as a subquery or a between range
+		let simple = Param.isParam(this.value) || this.value !== null && typeof this.value !== 'object';
+		return simple && this.comparator.order === DEFAULT_ORDER ? this.value : this.toBoundsObject();
 	}
 
 	bind(parameters) {
 		if (Param.isParam(this.value)) {
-			let param = parameters[this.value.$];
+			let param = this.value.valueFrom(parameters);
 			if (param !== undefined) return new Equals(param, this.comparator.order);
 		}
 		return this;
 	}
 }
 
-/** Range less than some bound.
+/** Range containing any of a set of values
+*
+* The set of values may be restricted by some additional bounds where it can't be determined whether
+* a value is in a range until some parameter is bound.
 *
 * @private
 */
-class LessThan extends OpenRange {
+class In extends Range {
 
-	static get OPERATOR () { return '<'; }
+	static get OPERATOR () { return 'in'; }
 
-	constructor(value, order) {
-		super(LessThan.OPERATOR, value, order);
+	/** construct a range containing any of a set of values
+	*
+	* Use Range.in to create a set of values; it removes duplicates and simplifies the result where possible.
+	*
+	* @param {Array} values - values in the range
+	* @param {Range} bounds - restriction on values
+	* @param {Range~OrderingFunction} [order=DEFAULT_ORDER] - compare two values and return true if the first is less than the second.
+	*/
+	constructor(values, bounds, order = DEFAULT_ORDER) {
+		super();
+		this.values = values;
+		this.bounds = bounds;
+		this.operator = In.OPERATOR;
+		this.comparator = new Comparator(order);
+	}
+
+	/** Create a range containing those values which are within bounds.
+	*
+	* @param {Array} values - values in the range
+	* @param {Range} bounds - restriction on values
+	* @param {Range~OrderingFunction} [order=DEFAULT_ORDER] - compare two values and return true if the first is less than the second.
+	* @returns {Range} a range, or null if no values are within bounds.
+	*/
+	static create(values, bounds, order = DEFAULT_ORDER) {
+		let comparator = new Comparator(order);
+		let result = [];
+		let uncertain = false;
+		for (let value of values) {
+			if (result.some(existing => comparator.equals(existing, value) === true)) continue;
+			let in_bounds = isCollection(value) ? null : bounds.contains(new Equals(value, order));
+			if (in_bounds === false) continue;
+			if (in_bounds === null) uncertain = true;
+			result.push(value);
+		}
+		if (!uncertain) bounds = Range.UNBOUNDED;
+		if (result.length === 0) return null;
+		if (result.length === 1 && !isCollection(result[0])) return new Equals(result[0], order).intersect(bounds);
+		return new In(result, bounds, order);
+	}
+
+	isEmpty() {
+		// An array parameter may be bound to an empty array
+		return this.values.every(isCollection) ? null : false;
 	}
 
 	contains(range) {
-		if (range.operator === Equals.OPERATOR || range.operator === LessThanOrEqual.OPERATOR) 
-			return this.comparator.lessThan(range.value, this.value);
-		if (range.operator === LessThan.OPERATOR) 
-			return this.comparator.lessThanOrEqual(range.value, this.value);
-		if (range.operator === Between.OPERATOR) 
-			return this.contains(range.upper_bound);
-		if (range.operator === Intersection.OPERATOR) {
-			return range.containedBy(this);
+		if (range.operator === Equals.OPERATOR)
+			return Stream.of(
+				Stream.from(this.values).some(value => 
+					// Either value may be an array parameter, which is only known to contain itself
+					isCollection(value) || isCollection(range.value) 
+						? Comparator.paramsEqual(value, range.value) || null 
+						: this.comparator.equals(value, range.value)
+				),
+				this.bounds.contains(range)
+			).every(contains => contains);
+		if (range.operator === In.OPERATOR) {
+			let result = Stream.from(range.values).every(value => this.contains(new Equals(value, this.comparator.order)));
+			// range.bounds may exclude values not in this range
+			return result === false && range.bounds.operator !== Unbounded.OPERATOR ? null : result;
 		}
+		if (range.operator === Intersection.OPERATOR || range.operator === Not.OPERATOR)
+			return range.containedBy(this);
+		return false;
+	}
 
-		return false; 
+	/** Determine if this range is contained by another.
+	*/
+	containedBy(range) {
+		let result = Stream.from(this.values).every(value => {
+			let contains = range.contains(new Equals(value, this.comparator.order));
+			return isCollection(value) ? contains || null : contains;
+		});
+		return result === false && this.bounds.operator !== Unbounded.OPERATOR ? null : result;
 	}
 
 	containsItem(item) {
-		return Param.isParam(this.value) ? null : this.comparator.lessThan(item, this.value);
+		if (isMissing(item)) return false;
+		return Stream.of(
+			Stream.from(this.values).some(value => Param.isParam(value) ? null : this.comparator.equals(value, item)),
+			this.bounds.containsItem(item)
+		).every(contains => contains);
+	}
+
+	compile() {
+		if (this.values.some(value => Param.isParam(value))) return super.compile();
+		let { values, comparator: { order } } = this;
+		let bounds = this.bounds.compile();
+		return item => {
+			if (isMissing(item)) return false;
+			let in_values = values.some(value => !order(value, item) && !order(item, value));
+			return every([ in_values, bounds(item) ], contains => contains);
+		};
+	}
+
+	_paramUses(dimension) {
+		return [
+			...this.values.filter(value => Param.isParam(value)).map(param => ({ param, dimension, operator: this.operator })),
+			...this.bounds._paramUses(dimension)
+		];
 	}
 
 	intersect(range) {
 		if (range.operator === Unbounded.OPERATOR) return this;
+		let bounds = this.bounds.intersect(range);
+		if (bounds === null) return null;
+		return In.create(this.values, bounds, this.comparator.order);
+	}
 
-		// Complex ranges are directly handled by their own class.
-		if (range.operator === Between.OPERATOR || range.operator === Intersection.OPERATOR)
-			return range.intersect(this);
+	toExpression(dimension, formatter, context)	{ 
+		let expression = formatter.operExpr(dimension, this.operator, this.values, context); 
+		if (this.bounds.operator === Unbounded.OPERATOR) return expression;
+		return formatter.andExpr(expression, this.bounds.toExpression(dimension, formatter, context));
+	}
 
-		// a < x && a < y  -> a < x if x <= y, a < y otherwise
-		// a < x && a <= y -> a < x if x <= y, a <= y otherwise 
-		if (range.operator === LessThan.OPERATOR || range.operator === LessThanOrEqual.OPERATOR) {
-			if (Param.isParam(this.value) || Param.isParam(range.value)) {
-				// tricky - a < z && a <= z -> a < z
-				if (Param.isParam(this.value) && this.comparator.equals(this.value, range.value)) return this;
-				return new Intersection(this,range);
-			} else {
-				if (this.comparator.lessThanOrEqual(this.value, range.value)) return this;
-				return range;
-			}
-		}
+	equals(range) {
+		return this.operator === range.operator
+			&& this.values.length === range.values.length
+			&& this.values.every(value => range.values.some(other => this.comparator.equals(value, other)))
+			&& this.bounds.equals(range.bounds);
+	}
 
-		// a < x && a > y -> y<a<x if y < x, null otherwise	
-		// a < x && a >= y -> y<=a<x if y < x, null otherwise	
-		if (range.operator === GreaterThan.OPERATOR || range.operator === GreaterThanOrEqual.OPERATOR) {
+	toString()	{ 
+		return JSON.stringify(this); 
+	}
 
-			if (Param.isParam(this.value) || Param.isParam(range.value)) {
+	toBoundsObject() {
+		let values = withOrder({ $in : this.values }, this.comparator);
+		if (this.bounds.operator === Unbounded.OPERATOR) return values;
+		return { $and : [ values, this.bounds.toBoundsObject() ] };
+	}
 
-				if (Param.isParam(this.value) && this.value.equals(range.value)) return null;
-				return new Between(range,this);
-			} else {
-				
-				if (this.comparator.lessThan(range.value, this.value)) {
-					return new Between(range, this);
-				} else {
-					return null;
-				}
-			} 
-		}
+	toJSON() {
+		let values = withOrder({ $in : this.values }, this.comparator);
+		if (this.bounds.operator === Unbounded.OPERATOR) return values;
+		return { $and : [ values, this.bounds.toJSON() ] };
+	}
 
-		// a < x && a = y -> a = y if y < x; null otherwise
+	bind(parameters) {
+		// An array parameter is replaced by the values in the array
+		let values = [].concat(...this.values.map(value => {
+			let bound = Param.isParam(value) ? value.valueFrom(parameters) : undefined;
+			if (bound === undefined) return [ value ];
+			return isCollection(value) ? bound : [ bound ];
+		}));
+		let bounds = this.bounds.bind(parameters);
+		if (bounds === null) return null;
+		if (bounds === this.bounds && values.length === this.values.length 
+			&& values.every((value, index) => value === this.values[index])) return this;
+		return In.create(values, bounds, this.comparator.order);
+	}
+}
+
+/** Range containing strings which start with some prefix
+*
+* @private
+*/
+class Prefix extends Range {
+
+	static get OPERATOR () { return 'prefix'; }
+
+	constructor(value, order = DEFAULT_ORDER) {
+		super();
+		this.value = value;
+		this.operator = Prefix.OPERATOR;
+		this.comparator = new Comparator(order);
+	}
+
+	/** Convert to an equivalent range between two strings.
+	*
+	* Strings starting with 'abc' are all greater than or equal to 'abc' and less than 'abd'. This is only true
+	* for the default order, in which strings are compared character by character; with a custom order the strings 
+	* starting with a prefix need not lie between any two bounds.
+	*
+	* @returns {Range} a range containing the same values as this prefix range, or null if the prefix is a parameter
+	* or the range has a custom order.
+	*/
+	toBetween() {
+		if (Param.isParam(this.value) || this.comparator.order !== DEFAULT_ORDER) return null;
+		let prefix = this.value.replace(/\uffff+$/, '');
+		if (prefix.length === 0) return new GreaterThanOrEqual(this.value, this.comparator.order);
+		let upper = prefix.slice(0, -1) + String.fromCharCode(prefix.charCodeAt(prefix.length - 1) + 1);
+		return new Between(new GreaterThanOrEqual(this.value, this.comparator.order), new LessThan(upper, this.comparator.order));
+	}
+
+	/** Check if a string starts with this prefix
+	*
+	* @returns true if value starts with this prefix, null if value or prefix is a parameter
+	*/
+	_prefixOf(value) {
+		if (Comparator.paramsEqual(this.value, value)) return true;
+		if (Comparator.params(this.value, value)) return null;
+		return typeof value === 'string' && value.startsWith(this.value);
+	}
+
+	contains(range) {
+		if (range.operator === Prefix.OPERATOR || range.operator === Equals.OPERATOR) 
+			return this._prefixOf(range.value);
+		if (range.operator === Intersection.OPERATOR || range.operator === Not.OPERATOR || range.operator === In.OPERATOR || range instanceof Pattern)
+			return range.containedBy(this);
+		if (Param.isParam(this.value)) 
+			return isParametrized(range) ? null : false;
+		return this._equivalent().contains(range);
+	}
+
+	/** Determine if this range is contained by another.
+	*/
+	containedBy(range) {
+		if (Param.isParam(this.value)) return null;
+		return range.contains(this._equivalent());
+	}
+
+	/** Get an equivalent range which can be compared with other kinds of range
+	*
+	* @private
+	* @returns {Range} an equivalent between range, or for a custom order, an equivalent like pattern
+	*/
+	_equivalent() {
+		return this.toBetween() || Range.like(this.value.replace(/[\\%_]/g, '\\$&') + '%', this.comparator.order);
+	}
+
+	containsItem(item) {
+		if (isMissing(item)) return false;
+		return Param.isParam(this.value) ? null : typeof item === 'string' && item.startsWith(this.value);
+	}
+
+	compile() {
+		if (Param.isParam(this.value)) return super.compile();
+		let value = this.value;
+		return item => !isMissing(item) && typeof item === 'string' && item.startsWith(value);
+	}
+
+	intersect(range) {
+		if (range.operator === Unbounded.OPERATOR) return this;
+		if (range.operator === Not.OPERATOR || range.operator === In.OPERATOR || range instanceof Pattern || range.operator === Exists.OPERATOR) 
+			return range.intersect(this);
+		if (range.operator === HasElementsMatching.OPERATOR)
+			throw new TypeError("Can't mix array operations and scalar operations on a single field");
+		if (range.operator === Subquery.OPERATOR)
+			throw new TypeError("Can't mix subquery operations and scalar operations on a single field");
+
+		if (this.contains(range) === true) return range;
+		if (range.contains(this) === true) return this;
+
+		// 'abc%' and 'abd%' have nothing in common; 'abc%' and 'ab%' were handled above.
+		if (range.operator === Prefix.OPERATOR && !Comparator.params(this.value, range.value)) return null;
+
+		if (Param.isParam(this.value) || isParametrized(range)) return new Intersection(this, range);
+		return this._equivalent().intersect(range);
+	}
+
+	toExpression(dimension, formatter, context)	{ 
+		return formatter.operExpr(dimension, this.operator, this.value, context); 
+	}
+
+	equals(range) {
+		return this.operator === range.operator && this.comparator.equals(this.value, range.value);
+	}
+
+	toString()	{ 
+		return JSON.stringify(this); 
+	}
+
+	toBoundsObject() {
+		return withOrder({ $prefix : this.value }, this.comparator);
+	}
+
+	toJSON() {
+		return this.toBoundsObject();
+	}
+
+	bind(parameters) {
+		if (Param.isParam(this.value)) {
+			let param = this.value.valueFrom(parameters);
+			if (param !== undefined) return new Prefix(param, this.comparator.order);
+		}
+		return this;
+	}
+}
+
+/** Base class for ranges containing strings which match some pattern
+*
+* The strings may be restricted by some additional bounds, since in general the intersection between a
+* pattern and another range can't be expressed as a simple pattern.
+*
+* @private
+*/
+class Pattern extends Range {
+
+	constructor(operator, value, bounds, order = DEFAULT_ORDER) {
+		super();
+		this.value = value;
+		this.bounds = bounds;
+		this.operator = operator;
+		this.comparator = new Comparator(order);
+	}
+
+	/** Check if a value matches this pattern
+	*
+	* @returns true if value matches the pattern, null if value or the pattern is a parameter
+	*/
+	_matches(value) {
+		if (isMissing(value)) return false;
+		if (Comparator.params(this.value, value)) return null;
+		if (typeof value !== 'string') return false;
+		// regexp is reused, so make sure global or sticky flags don't carry state between calls
+		this.regexp.lastIndex = 0;
+		return this.regexp.test(value);
+	}
+
+	contains(range) {
+		if (range.operator === Equals.OPERATOR)
+			return Stream.of(this._matches(range.value), this.bounds.contains(range)).every(contains => contains);
+		if (range.operator === In.OPERATOR || range.operator === Intersection.OPERATOR || range.operator === Not.OPERATOR || range.operator === Exists.OPERATOR)
+			return range.containedBy(this);
+		if (this.equals(range) === true) return true;
+		// We can't tell if the strings matched by range also match this pattern, but they must be within our bounds
+		return this.bounds.contains(range) === false ? false : null;
+	}
+
+	/** Determine if this range is contained by another.
+	*/
+	containedBy(range) {
+		return range.contains(this.bounds) === true ? true : null;
+	}
+
+	containsItem(item) {
+		return Stream.of(this._matches(item), this.bounds.containsItem(item)).every(contains => contains);
+	}
+
+	compile() {
+		if (Param.isParam(this.value)) return super.compile();
+		let regexp = this.regexp;
+		let bounds = this.bounds.compile();
+		return item => {
+			if (isMissing(item)) return false;
+			// regexp is reused, so make sure global or sticky flags don't carry state between calls
+			regexp.lastIndex = 0;
+			return every([ typeof item === 'string' && regexp.test(item), bounds(item) ], contains => contains);
+		};
+	}
+
+	_paramUses(dimension) {
+		return [ ...super._paramUses(dimension), ...this.bounds._paramUses(dimension) ];
+	}
+
+	intersect(range) {
+		if (range.operator === Unbounded.OPERATOR) return this;
+		if (range.operator === Not.OPERATOR || range.operator === In.OPERATOR || range.operator === Exists.OPERATOR) return range.intersect(this);
+		if (range.operator === HasElementsMatching.OPERATOR)
+			throw new TypeError("Can't mix array operations and scalar operations on a single field");
+		if (range.operator === Subquery.OPERATOR)
+			throw new TypeError("Can't mix subquery operations and scalar operations on a single field");
+
+		if (this.contains(range) === true) return range;
+		if (range.contains(this) === true) return this;
+		if (range.operator === Equals.OPERATOR && this._matches(range.value) === false) return null;
+
+		let bounds = this.bounds.intersect(range);
+		return bounds === null ? null : this._withBounds(this.value, bounds);
+	}
+
+	toExpression(dimension, formatter, context)	{ 
+		let expression = formatter.operExpr(dimension, this.operator, this._expressionValue(), context); 
+		if (this.bounds.operator === Unbounded.OPERATOR) return expression;
+		return formatter.andExpr(expression, this.bounds.toExpression(dimension, formatter, context));
+	}
+
+	equals(range) {
+		if (this.operator !== range.operator || !this.bounds.equals(range.bounds)) return false;
+		// Different patterns may still match the same strings
+		return this._patternEquals(range) || null;
+	}
+
+	toString()	{ 
+		return JSON.stringify(this); 
+	}
+
+	toBoundsObject() {
+		let pattern = withOrder(this._patternBounds(), this.comparator);
+		if (this.bounds.operator === Unbounded.OPERATOR) return pattern;
+		return { $and : [ pattern, this.bounds.toBoundsObject() ] };
+	}
+
+	toJSON() {
+		let pattern = withOrder(this._patternBounds(), this.comparator);
+		if (this.bounds.operator === Unbounded.OPERATOR) return pattern;
+		return { $and : [ pattern, this.bounds.toJSON() ] };
+	}
+
+	bind(parameters) {
+		let value = this.value;
+		if (Param.isParam(value)) {
+			let bound = value.valueFrom(parameters);
+			if (bound !== undefined) value = bound;
+		}
+		let bounds = this.bounds.bind(parameters);
+		if (bounds === null) return null;
+		if (value === this.value && bounds === this.bounds) return this;
+		let pattern = this._withValue(value);
+		return pattern === null ? null : pattern.intersect(bounds);
+	}
+}
+
+/** Range containing strings which match a regular expression
+*
+* @private
+*/
+class Regex extends Pattern {
+
+	static get OPERATOR () { return 'regex'; }
+
+	/** Create a regular expression range; the expression is compiled here, so an invalid pattern throws a SyntaxError
+	*/
+	constructor(value, flags, bounds, order) {
+		super(Regex.OPERATOR, value, bounds, order);
+		this.flags = flags;
+		this.regexp = Param.isParam(value) ? undefined : new RegExp(value, flags);
+	}
+
+	_withBounds(value, bounds) { return new Regex(value, this.flags, bounds, this.comparator.order); }
+
+	_withValue(value) { return new Regex(value, this.flags, Range.UNBOUNDED, this.comparator.order); }
+
+	_patternEquals(range) { return this.flags === range.flags && this.comparator.equals(this.value, range.value); }
+
+	_expressionValue() { return Param.isParam(this.value) ? this.value : this.regexp; }
+
+	_patternBounds() { return this.flags ? { $regex : this.value, $options : this.flags } : { $regex : this.value }; }
+}
+
+/** Convert an SQL-style 'like' pattern into an equivalent regular expression
+*
+* @private
+* @param {string} pattern - pattern, in which % matches any string, _ matches any character, and \ escapes the next character
+* @returns {RegExp} regular expression matching the same strings
+*/
+function likeExpression(pattern) {
+	let source = pattern.replace(/\\(.)|([%_])|([.*+?^${}()|[\]\\\/])/g, (match, escaped, wildcard, special) => {
+		if (escaped) return escaped.replace(/[.*+?^${}()|[\]\\\/]/, '\\$&');
+		if (wildcard) return wildcard === '%' ? '[\\s\\S]*' : '[\\s\\S]';
+		return '\\' + special;
+	});
+	return new RegExp('^' + source + '$'); 
+}
+
+/** Range containing strings which match an SQL-style 'like' pattern
+*
+* @private
+*/
+class Like extends Pattern {
+
+	static get OPERATOR () { return 'like'; }
+
+	constructor(value, bounds, order) {
+		super(Like.OPERATOR, value, bounds, order);
+		this.regexp = Param.isParam(value) ? undefined : likeExpression(value);
+	}
+
+	_withBounds(value, bounds) { return new Like(value, bounds, this.comparator.order); }
+
+	_withValue(value) { return Range.like(value, this.comparator.order); }
+
+	_patternEquals(range) { return this.comparator.equals(this.value, range.value); }
+
+	_expressionValue() { return this.value; }
+
+	_patternBounds() { return { $like : this.value }; }
+}
+
+/** Range less than some bound.
+*
+* @private
+*/
+class LessThan extends OpenRange {
+
+	static get OPERATOR () { return '<'; }
+
+	constructor(value, order) {
+		super(LessThan.OPERATOR, value, order);
+	}
+
+	contains(range) {
+		if (range.operator === Equals.OPERATOR || range.operator === LessThanOrEqual.OPERATOR) 
+			return this.comparator.lessThan(range.value, this.value);
+		if (range.operator === LessThan.OPERATOR) 
+			return this.comparator.lessThanOrEqual(range.value, this.value);
+		if (range.operator === Between.OPERATOR) 
+			return this.contains(range.upper_bound);
+		if (this._delegatesContainment(range)) {
+			return range.containedBy(this);
+		}
+
+		return false; 
+	}
+
+	containsItem(item) {
+		if (isMissing(item)) return false;
+		return Param.isParam(this.value) ? null : this.comparator.lessThan(item, this.value);
+	}
+
+	compile() {
+		if (Param.isParam(this.value)) return super.compile();
+		let { value, comparator: { order } } = this;
+		return item => !isMissing(item) && order(item, value);
+	}
+
+	intersect(range) {
+		if (range.operator === Unbounded.OPERATOR) return this;
+
+		// Complex ranges are directly handled by their own class.
+		if (this._delegatesIntersection(range))
+			return range.intersect(this);
+
+		// a < x && a < y  -> a < x if x <= y, a < y otherwise
+		// a < x && a <= y -> a < x if x <= y, a <= y otherwise 
+		if (range.operator === LessThan.OPERATOR || range.operator === LessThanOrEqual.OPERATOR) {
+			if (!this._comparable(range)) {
+				// tricky - a < z && a <= z -> a < z
+				if (Param.isParam(this.value) && this.comparator.equals(this.value, range.value)) return this;
+				return new Intersection(this,range);
+			} else {
+				if (this.comparator.lessThanOrEqual(this.value, range.value)) return this;
+				return range;
+			}
+		}
+
+		// a < x && a > y -> y<a<x if y < x, null otherwise	
+		// a < x && a >= y -> y<=a<x if y < x, null otherwise	
+		if (range.operator === GreaterThan.OPERATOR || range.operator === GreaterThanOrEqual.OPERATOR) {
+
+			if (!this._comparable(range)) {
+
+				if (Param.isParam(this.value) && this.value.equals(range.value)) return null;
+				return new Between(range,this);
+			} else {
+				
+				if (this.comparator.lessThan(range.value, this.value)) {
+					return new Between(range, this);
+				} else {
+					return null;
+				}
+			} 
+		}
+
+		// a < x && a = y -> a = y if y < x; null otherwise
 		if (range.operator === Equals.OPERATOR) {
-				if (Param.isParam(this.value) || Param.isParam(range.value)) {
+				if (!this._comparable(range)) {
 					if (Param.isParam(this.value) && this.value.equals(range.value)) return null;
 				return new Intersection(this,range);
 			} else {
@@ -688,7 +1601,7 @@ class LessThan extends OpenRange {
 			} 
 		}
 
-		if (range.operator === HasElementMatching.OPERATOR)
+		if (range.operator === HasElementsMatching.OPERATOR)
 			throw new TypeError("Can't mix array operations and scalar operations on a single field");
 
 
@@ -697,7 +1610,7 @@ class LessThan extends OpenRange {
 
 	bind(parameters) {
 		if (Param.isParam(this.value)) {
-			let param = parameters[this.value.$];
+			let param = this.value.valueFrom(parameters);
 			if (param !== undefined) return new LessThan(param);
 		}
 		return this;
@@ -722,31 +1635,39 @@ class LessThanOrEqual extends OpenRange {
 			return this.comparator.lessThanOrEqual(range.value, this.value);
 		if (range.operator === Between.OPERATOR) 
 			return this.contains(range.upper_bound);
-		if (range.operator === Intersection.OPERATOR) {
+		if (this._delegatesContainment(range)) {
 			return range.containedBy(this);
 		}
 		return false;
 	}
 
 	containsItem(item) {
+		if (isMissing(item)) return false;
 		return Param.isParam(this.value) ? null : this.comparator.lessThanOrEqual(item, this.value);
 	}
 
+	compile() {
+		if (Param.isParam(this.value)) return super.compile();
+		let { value, comparator: { order } } = this;
+		return item => !isMissing(item) && !order(value, item);
+	}
+
 	intersect(range) {
 		if (range.operator === Unbounded.OPERATOR) return this;
 
 		// Complex ranges always handled by their own class
-		if (range.operator === Between.OPERATOR || range.operator === Intersection.OPERATOR)
+		if (this._delegatesIntersection(range))
 			return range.intersect(this);
 
 		// a <= x && a < y  -> a <= x if x < y, a < y otherwise
 		// a <= x && a <= y -> a <= x if x < y, a <= y otherwise 
+		// where x = y, the exclusive bound is the tighter one; a <= 5 && a < 5 -> a < 5
 		if (range.operator === LessThan.OPERATOR || range.operator === LessThanOrEqual.OPERATOR) {
-			if (Param.isParam(this.value) || Param.isParam(range.value)) {
+			if (!this._comparable(range)) {
 				if (Param.isParam(this.value) && this.value.equals(range.value)) return range;
 				return new Intersection(this,range);
 			} else {
-				if (this.comparator.lessThanOrEqual(this.value,range.value)) return this;
+				if (this.comparator.lessThan(this.value,range.value)) return this;
 				return range;
 			}
 		}
@@ -754,7 +1675,7 @@ class LessThanOrEqual extends OpenRange {
 		// a <= x && a > y -> y<a<=x if y < x, null otherwise	
 		if (range.operator === GreaterThan.OPERATOR) {
 
-			if (Param.isParam(this.value) || Param.isParam(range.value)) {
+			if (!this._comparable(range)) {
 				if (Param.isParam(this.value) && this.value.equals(range.value)) return null;
 				return new Between(range,this);
 			} else {
@@ -770,7 +1691,7 @@ class LessThanOrEqual extends OpenRange {
 		// a <= x && a >= y -> y<=a<=x if y < x, a = x if y = x, null otherwise	
 		if (range.operator === GreaterThanOrEqual.OPERATOR) {
 
-			if (Param.isParam(this.value) || Param.isParam(range.value)) {
+			if (!this._comparable(range)) {
 
 				if (Param.isParam(this.value) && this.value.equals(range.value)) return new Equals(this.value);
 				return new Intersection(this,range);
@@ -788,7 +1709,7 @@ class LessThanOrEqual extends OpenRange {
 
 		// a <= x && a = y -> a = y if y <= x; null otherwise
 		if (range.operator === Equals.OPERATOR) {
-				if (Param.isParam(this.value) || Param.isParam(range.value)) {
+				if (!this._comparable(range)) {
 					if (Param.isParam(this.value) && this.value.equals(range.value)) return range;
 				return new Intersection(this,range);
 			} else {
@@ -800,7 +1721,7 @@ class LessThanOrEqual extends OpenRange {
 			} 
 		}
 
-		if (range.operator === HasElementMatching.OPERATOR)
+		if (range.operator === HasElementsMatching.OPERATOR)
 			throw new TypeError("Can't mix array operations and scalar operations on a single field");
 
 		throw new RangeError("Uknown operator: ", range.operator);
@@ -808,7 +1729,7 @@ class LessThanOrEqual extends OpenRange {
 
 	bind(parameters) {
 		if (Param.isParam(this.value)) {
-			let param = parameters[this.value.$];
+			let param = this.value.valueFrom(parameters);
 			if (param !== undefined) return new LessThanOrEqual(param);
 		}
 		return this;
@@ -835,27 +1756,34 @@ class GreaterThan extends OpenRange {
 			return this.comparator.greaterThanOrEqual(range.value, this.value);
 		if (range.operator === Between.OPERATOR) 
 			return this.contains(range.lower_bound);
-		if (range.operator === Intersection.OPERATOR) {
+		if (this._delegatesContainment(range)) {
 			return range.containedBy(this);
 		}
 		return false;
 	}
 
 	containsItem(item) {
+		if (isMissing(item)) return false;
 		return Param.isParam(this.value) ? null : this.comparator.greaterThan(item, this.value);
 	}
 
+	compile() {
+		if (Param.isParam(this.value)) return super.compile();
+		let { value, comparator: { order } } = this;
+		return item => !isMissing(item) && order(value, item);
+	}
+
 	intersect(range) {
 		if (range.operator === Unbounded.OPERATOR) return this;
 
 		// Complex ranges are directly handled by their own class.
-		if (range.operator === Between.OPERATOR || range.operator === Intersection.OPERATOR)
+		if (this._delegatesIntersection(range))
 			return range.intersect(this);
 
 		// a > x && a > y  -> a > x if x >= y, a > y otherwise
 		// a > x && a >= y -> a < x if x >= y, a >= y otherwise 
 		if (range.operator === GreaterThan.OPERATOR || range.operator === GreaterThanOrEqual.OPERATOR) {
-			if (Param.isParam(this.value) || Param.isParam(range.value)) {
+			if (!this._comparable(range)) {
 				if (Param.isParam(this.value) && this.value.equals(range.value)) return this;
 				return new Intersection(this,range);
 			} else {
@@ -869,7 +1797,7 @@ class GreaterThan extends OpenRange {
 		// a > x && a <= y -> x<a<=y if x < y, null otherwise	
 		if (range.operator === LessThan.OPERATOR || range.operator === LessThanOrEqual.OPERATOR) {
 
-			if (Param.isParam(this.value) || Param.isParam(range.value)) {
+			if (!this._comparable(range)) {
 				if (Param.isParam(this.value) && this.value.equals(range.value)) return null;
 				return new Between(this,range);
 			} else {
@@ -884,7 +1812,7 @@ class GreaterThan extends OpenRange {
 
 		// a > x && a = y -> a = y if y > x; null otherwise
 		if (range.operator === Equals.OPERATOR) {
-				if (Param.isParam(this.value) || Param.isParam(range.value)) {
+				if (!this._comparable(range)) {
 					if (Param.isParam(this.value) && this.value.equals(range.value)) return null;
 				return new Intersection(this,range);
 			} else {
@@ -896,7 +1824,7 @@ class GreaterThan extends OpenRange {
 			} 
 		}
 
-		if (range.operator === HasElementMatching.OPERATOR)
+		if (range.operator === HasElementsMatching.OPERATOR)
 			throw new TypeError("Can't mix array operations and scalar operations on a single field");
 
 		throw new RangeError("Uknown operator: ", range.operator);
@@ -904,7 +1832,7 @@ class GreaterThan extends OpenRange {
 
 	bind(parameters) {
 		if (Param.isParam(this.value)) {
-			let param = parameters[this.value.$];
+			let param = this.value.valueFrom(parameters);
 			if (param !== undefined) return new GreaterThan(param);
 		}
 		return this;
@@ -930,32 +1858,40 @@ class GreaterThanOrEqual extends OpenRange {
 			return this.comparator.greaterThanOrEqual(range.value, this.value);
 		if (range.operator === Between.OPERATOR) 
 			return this.contains(range.lower_bound);
-		if (range.operator === Intersection.OPERATOR) {
+		if (this._delegatesContainment(range)) {
 			return range.containedBy(this);
 		}
 		return false;
 	}
 
 	containsItem(item) {
+		if (isMissing(item)) return false;
 		return Param.isParam(this.value) ? null : this.comparator.greaterThanOrEqual(item, this.value);
 	}
 
+	compile() {
+		if (Param.isParam(this.value)) return super.compile();
+		let { value, comparator: { order } } = this;
+		return item => !isMissing(item) && !order(item, value);
+	}
+
 
 	intersect(range) {
 
 		if (range.operator === Unbounded.OPERATOR) return this;
 		// Complex ranges always handled by their own class
-		if (range.operator === Between.OPERATOR || range.operator === Intersection.OPERATOR)
+		if (this._delegatesIntersection(range))
 			return range.intersect(this);
 
 		// a >= x && a > y  -> a >= x if x > y, a > y otherwise
 		// a >= x && a >= y -> a >= x if x > y, a >= y otherwise 
+		// where x = y, the exclusive bound is the tighter one; a >= 5 && a > 5 -> a > 5
 		if (range.operator === GreaterThan.OPERATOR || range.operator === GreaterThanOrEqual.OPERATOR) {
-			if (Param.isParam(this.value) || Param.isParam(range.value)) {
+			if (!this._comparable(range)) {
 				if (Param.isParam(this.value) && this.value.equals(range.value)) return range;
 				return new Intersection(this,range);
 			} else {
-				if (this.comparator.greaterThanOrEqual(this.value,range.value)) return this;
+				if (this.comparator.greaterThan(this.value,range.value)) return this;
 				return range;
 			}
 		}
@@ -963,7 +1899,7 @@ class GreaterThanOrEqual extends OpenRange {
 		// a >= x && a < y -> x<=a<y if y > x, null otherwise	
 		if (range.operator === LessThan.OPERATOR) {
 
-			if (Param.isParam(this.value) || Param.isParam(range.value)) {
+			if (!this._comparable(range)) {
 				if (Param.isParam(this.value) && this.value.equals(range.value)) return null;
 				return new Between(this,range);
 			} else {
@@ -979,14 +1915,14 @@ class GreaterThanOrEqual extends OpenRange {
 		// a >= x && a <= y -> x<=a<=y if y > x, a = x if y = x, null otherwise	
 		if (range.operator === LessThanOrEqual.OPERATOR) {
 
-			if (Param.isParam(this.value) || Param.isParam(range.value)) {
+			if (!this._comparable(range)) {
 
 				if (Param.isParam(this.value) && this.value.equals(range.value)) return new Equals(this.value);
 				return new Intersection(this,range);
 			} else {
 				
 				if (this.comparator.greaterThan(range.value, this.value)) {
-					return new Between(range, this);
+					return new Between(this, range);
 				} 
 				if (this.comparator.equals(range.value, this.value)) {
 					return new Equals(range.value);
@@ -997,7 +1933,7 @@ class GreaterThanOrEqual extends OpenRange {
 
 		// a >= x && a = y -> a = y if y >= x; null otherwise
 		if (range.operator === Equals.OPERATOR) {
-				if (Param.isParam(this.value) || Param.isParam(range.value)) {
+				if (!this._comparable(range)) {
 					if (Param.isParam(this.value) && this.value.equals(range.value)) return range;
 				return new Intersection(this,range);
 			} else {
@@ -1009,7 +1945,7 @@ class GreaterThanOrEqual extends OpenRange {
 			} 
 		}
 
-		if (range.operator === HasElementMatching.OPERATOR)
+		if (range.operator === HasElementsMatching.OPERATOR)
 			throw new TypeError("Can't mix array operations and scalar operations on a single field");
 
 		throw new RangeError("Uknown operator: " + range.operator);
@@ -1017,7 +1953,7 @@ class GreaterThanOrEqual extends OpenRange {
 
 	bind(parameters) {
 		if (Param.isParam(this.value)) {
-			let param = parameters[this.value.$];
+			let param = this.value.valueFrom(parameters);
 			if (param !== undefined) return new GreaterThanOrEqual(param);
 		}
 		return this;
@@ -1038,6 +1974,14 @@ class HasElementsMatching extends Range {
 		this.operator = HasElementsMatching.OPERATOR;
 	}
 
+	get depth() {
+		return Math.max(0, ...this.bounds.map(bound => bound.depth));
+	}
+
+	isEmpty() {
+		return Stream.from(this.bounds).some(bound => bound.isEmpty());
+	}
+
 	// For containment, this range must match all array elements matched by the other range. Otherwise, the other range
 	// could match an element not matched by this range, which implies this range does not contain the other.
 	//
@@ -1047,22 +1991,42 @@ class HasElementsMatching extends Range {
 		if (range.operator === HasElementsMatching.OPERATOR)
 			// use Stream versions of every and other because of tri-state implementation 
 			return Stream.from(range.bounds).every(range_bound => 
-				Stream.from(this.bounds).some(this_bound => this_bound.contains(range_bound))
+				Stream.from(this.bounds).some(this_bound => 
+					// an array parameter may hold any elements, so is only known to contain itself
+					range_bound.operator === AllElements.OPERATOR 
+						? this_bound.equals(range_bound) || null 
+						: this_bound.contains(range_bound)
+				)
 			);
 		return false;
 	}
 
 	// For every bound, there is some element in item that matches that bound.
 	containsItem(item) {
+		if (isMissing(item)) return false;
 		return Stream.from(this.bounds).every(bound => Stream.from(item).some(element=>bound.containsItem(element))); 
 	}
 
+	compile() {
+		let bounds = this.bounds.map(bound => bound.compile());
+		return item => {
+			if (isMissing(item)) return false;
+			let elements = item[Symbol.iterator] ? Array.from(item) : [ item ];
+			return every(bounds, bound => some(elements, bound));
+		};
+	}
+
+	_paramUses(dimension) {
+		return [].concat(...this.bounds.map(bound => bound._paramUses(dimension)));
+	}
+
 	// hmm, remember that $and : [ { y : { $has : 'numpty' } }, { y : { $has : 'flash' } } ] is not the same as 
 	// { y : { $has : Range.and(Range.equals('numpty'), range.equals('flash')) }. The former should match any element
 	// with y containing both numpty and flash. The second will match nothing since no array element will equal both
 	// numpty and flash.
 	intersect(range) {
 		if (range.operator === Unbounded.OPERATOR) return this;
+		if (range.operator === Not.OPERATOR || range.operator === Exists.OPERATOR) return range.intersect(this);
 		if (range.operator === HasElementsMatching.OPERATOR) {
 
 			let new_bounds = Stream
@@ -1084,8 +2048,9 @@ class HasElementsMatching extends Range {
 		// Mongo syntax is a bit long winded but AFAICS Mongo doesn't support a briefer format that is
 		// also sufficiently generic.
 		// SQL syntax will be more like exists(select array_field.value from array_field where doc.id = array_field.id) and ...
-		const bounds_formatter = bound => 
-			formatter.operExpr(dimension, this.operator, bound.toExpression(null, formatter, {dimension,context}), context);
+		const bounds_formatter = bound => bound.operator === AllElements.OPERATOR
+			? formatter.operExpr(dimension, bound.operator, bound.value, context)
+			: formatter.operExpr(dimension, this.operator, bound.toExpression(null, formatter, {dimension,context}), context);
 		
 		if (this.bounds.length > 1)
 			return formatter.andExpr(...this.bounds.map(bounds_formatter));
@@ -1094,28 +2059,52 @@ class HasElementsMatching extends Range {
 	}
 
 	equals(range) { 
-		// Strictly the bounds arrays should be equal if they have the same items irrespective of order;
-		// however to do that we'd have to find a better comparison algorithm.
+		// Bounds arrays are equal if they have the same items irrespective of order. Bounds never contain
+		// each other (see intersect and bind) so there are no duplicates to worry about.
 		return this.operator === range.operator 
 			&& this.bounds.length === range.bounds.length
-			&& this.bounds.every((bound,index)=>bound.equals(range.bounds[index])); 
+			&& this.bounds.every(bound => range.bounds.some(range_bound => bound.equals(range_bound))); 
 	}
 
 	toString()	{ 
 		return this.toJSON().toString(); 
 	}
 
-	toBoundsObject() {
-		return { [this.operator] : this.bounds.map(bound=>bound.toBoundsObject()) }
+	/** Convert to a bounds object, or its JSON representation
+	*
+	* Each array parameter becomes a separate `{ $hasAll: parameter }`, combined with other bounds using `$and`.
+	* @private
+	*/
+	_toObject(json) {
+		let bounds = this.bounds.filter(bound => bound.operator !== AllElements.OPERATOR).map(bound => json ? bound.toJSON() : bound.toBoundsObject());
+		let result = this.bounds
+			.filter(bound => bound.operator === AllElements.OPERATOR)
+			.map(bound => ({ $hasAll : json ? bound.value.toJSON() : bound.value }));
+		if (bounds.length === 1) result.unshift({ $has : bounds[0] });
+		if (bounds.length > 1) result.unshift({ $hasAll : bounds });
+		return result.length === 1 ? result[0] : { $and : result };
+	}
+
+	toBoundsObject() {
+		return this._toObject(false);
 	}
 
 	toJSON() {
-		return this.toBoundsObject();
+		return this._toObject(true);
 	}	
 
 	bind(parameters) {
 
-		let bounds = Stream.from(this.bounds)
+		// An array parameter is replaced by a bound for each value in the array; like $in, an empty array matches nothing
+		let expanded = [];
+		for (let bound of this.bounds) {
+			let values = bound.operator === AllElements.OPERATOR ? bound.value.valueFrom(parameters) : undefined;
+			if (values === undefined) expanded.push(bound);
+			else if (values.length === 0) return null;
+			else expanded.push(...values.map(value => new Equals(value, DEFAULT_ORDER)));
+		}
+
+		let bounds = Stream.from(expanded)
 			.map(bound=>bound.bind(parameters))
 			.filter(bound => bound !== null)
 			.reduce((new_bounds,value) => 
@@ -1132,6 +2121,53 @@ class HasElementsMatching extends Range {
 	}
 }
 
+/** Bound of a $has range which requires an array to contain every element of an array parameter
+*
+* Created by `Range.hasAll($.tags)`; when the parameter is bound, HasElementsMatching replaces this bound with an 
+* Equals bound for each element.
+*
+* @private
+*/
+class AllElements extends Range {
+
+	static get OPERATOR () { return 'hasAll'; }
+
+	constructor(param) {
+		super();
+		this.value = param;
+		this.operator = AllElements.OPERATOR;
+	}
+
+	// The parameter may be bound to an empty array, which matches nothing
+	isEmpty() {
+		return null;
+	}
+
+	contains(range) {
+		return this.equals(range) || null;
+	}
+
+	containsItem(item) {
+		return null;
+	}
+
+	equals(range) {
+		return this.operator === range.operator && this.value.equals(range.value);
+	}
+
+	toString() {
+		return JSON.stringify(this);
+	}
+
+	toJSON() {
+		return { $hasAll : this.value.toJSON() };
+	}
+
+	bind(parameters) {
+		return this;
+	}
+}
+
 class Subquery extends Range {
 
 	static get OPERATOR () { return 'match'; } // TODO: this is inconsistent now but it doesn't really matter
@@ -1142,19 +2178,38 @@ class Subquery extends Range {
 		this.operator = Subquery.OPERATOR;
 	}
 
+	get depth() {
+		return this.query.depth;
+	}
+
+	isEmpty() {
+		return this.query.isEmpty();
+	}
+
 	contains(range) {
 		if (range.operator === Subquery.OPERATOR) return this.query.contains(range.query);
 		return false;
 	}
 
 	containsItem(item) {
+		if (isMissing(item)) return false;
 		return this.query.containsItem(item);
 	}
 
+	compile() {
+		let query = this.query.compile();
+		return item => !isMissing(item) && query(item);
+	}
+
+	_paramUses(dimension) {
+		return this.query._paramUses(dimension);
+	}
+
 	intersect(range) {
 		if (range.operator === Unbounded.OPERATOR) return this;
+		if (range.operator === Not.OPERATOR || range.operator === Exists.OPERATOR) return range.intersect(this);
 		if (range.operator === Subquery.OPERATOR) return new Subquery(this.query.and(range.query));
-		if (range.operator === HasElementMatching.OPERATOR)
+		if (range.operator === HasElementsMatching.OPERATOR)
 			throw new TypeError("Can't mix array operations and subquery operations on a single field");
 		throw new TypeError("Can't mix subquery operations and scalar operations on a single field");
 	}
@@ -1173,11 +2228,14 @@ class Subquery extends Range {
 	}
 
 	toBoundsObject() {
-		return { [this.operator] : this.query }
+		return { $match : this.query }
 	}
 
 	toJSON() {
-		return this.query;
+		// A single cube can be written as a constraint object, unless it would be read back as a bounds object
+		let union = this.query.union;
+		if (union.length === 1 && !RANGE_OPERATORS[Object.keys(union[0])[0]]) return union[0].toJSON();
+		return { $match : this.query.toJSON() };
 	}	
 
 	bind(parameters) {
@@ -1188,6 +2246,113 @@ class Subquery extends Range {
 	}
 }
 
+/** Range restricting whether a value is missing, null, or defined.
+*
+* A defined value is one that is present and not null. Every other range (except Unbounded) contains
+* only defined values.
+*
+* @private
+*/
+class Exists extends Range {
+
+	static get OPERATOR () { return 'exists'; }
+
+	/** construct a range containing missing, null, and/or defined values
+	*
+	* Use Range.exists or Range.isNull to create these ranges.
+	*
+	* @param {boolean} missing - true if range contains missing values
+	* @param {boolean} is_null - true if range contains null values
+	* @param {boolean} defined - true if range contains defined values
+	*/
+	constructor(missing, is_null, defined) {
+		super();
+		this.missing = missing;
+		this.null = is_null;
+		this.defined = defined;
+		this.operator = Exists.OPERATOR;
+	}
+
+	/** Create a range containing missing, null, and/or defined values.
+	*
+	* @returns {Range} a range, or null if the range would contain nothing.
+	*/
+	static create(missing, is_null, defined) {
+		if (missing && is_null && defined) return Range.UNBOUNDED;
+		if (!missing && !is_null && !defined) return null;
+		return new Exists(missing, is_null, defined);
+	}
+
+	contains(range) {
+		if (range.operator === Exists.OPERATOR)
+			return (this.missing || !range.missing) && (this.null || !range.null) && (this.defined || !range.defined);
+		if (range.operator === Unbounded.OPERATOR) return false;
+		return this.defined;
+	}
+
+	/** Determine if this range is contained by another.
+	*
+	* Ranges other than Exists and Unbounded contain only defined values, and no Exists range is a subset of them.
+	*/
+	containedBy(range) {
+		return range.operator === Exists.OPERATOR || range.operator === Unbounded.OPERATOR ? range.contains(this) : false;
+	}
+
+	containsItem(item) {
+		if (item === undefined) return this.missing;
+		if (item === null) return this.null;
+		return this.defined;
+	}
+
+	compile() {
+		let { missing, null: is_null, defined } = this;
+		return item => item === undefined ? missing : item === null ? is_null : defined;
+	}
+
+	intersect(range) {
+		if (range.operator === Unbounded.OPERATOR) return this;
+		if (range.operator === Exists.OPERATOR) 
+			return Exists.create(this.missing && range.missing, this.null && range.null, this.defined && range.defined);
+		return this.defined ? range : null;
+	}
+
+	toExpression(dimension, formatter, context) {
+		if (this.missing === this.null) 
+			return formatter.operExpr(dimension, 'null', this.null, context);
+		if (this.null === this.defined)
+			return formatter.operExpr(dimension, 'exists', this.defined, context);
+		if (this.null)
+			return formatter.andExpr(formatter.operExpr(dimension, 'exists', true, context), formatter.operExpr(dimension, 'null', true, context));
+		return formatter.orExpr(formatter.operExpr(dimension, 'exists', false, context), formatter.operExpr(dimension, 'null', false, context));
+	}
+
+	equals(range) {
+		return this.operator === range.operator 
+			&& this.missing === range.missing 
+			&& this.null === range.null 
+			&& this.defined === range.defined;
+	}
+
+	toString()	{ 
+		return JSON.stringify(this); 
+	}
+
+	toBoundsObject() {
+		if (this.missing === this.null) return { $null : this.null };
+		if (this.null === this.defined) return { $exists : this.defined };
+		if (this.null) return { $and : [ { $exists : true }, { $null : true } ] };
+		return { $not : { $and : [ { $exists : true }, { $null : true } ] } };
+	}
+
+	toJSON() {
+		return this.toBoundsObject();
+	}
+
+	bind(parameters) {
+		return this;
+	}
+}
+
 /** Support a deferred intersection between parametrized ranges.
 *
 * @private 
@@ -1236,15 +2401,16 @@ class Intersection extends Range {
 			return result;
 		}
 
+		// Bounds are grouped by parameter expression, since we can't simplify bounds on different expressions
 		if (Param.isParam(range.value)) {
-			let old_param = this.parametrized_bounds[range.value.$];
+			let old_param = this.parametrized_bounds[range.value.key];
 			let new_param = old_param ? old_param.intersect(range) : range;
 			if (new_param === null)  {
 //				console.log('1',new_param, old_param, range);
 				return false;
 			}
-			this.parametrized_bounds[range.value.$] = new_param;
-			if (old_param === undefined) this.parameters.push(range.value.$); 
+			this.parametrized_bounds[range.value.key] = new_param;
+			if (old_param === undefined) this.parameters.push(range.value.key); 
 		} else {
 			let known_bounds = this.known_bounds.intersect(range);
 			if (known_bounds === null) {
@@ -1260,6 +2426,18 @@ class Intersection extends Range {
 		return this.known_bounds.comparator || this.parametrized_bounds[this.parameters[0]].comparator;
 	}
 
+	// Bounds for each parameter (and the known bounds) are non-empty, since they are checked as they are added; 
+	// but bounds for different parameters may exclude each other unless they are all lower or all upper bounds.
+	isEmpty() {
+		let bounds = this.parameters.map(parameter => this.parametrized_bounds[parameter]);
+		if (this.known_bounds.operator !== Unbounded.OPERATOR) bounds.push(this.known_bounds);
+		if (bounds.length < 2) return false;
+		const LOWER = [ GreaterThan.OPERATOR, GreaterThanOrEqual.OPERATOR ];
+		const UPPER = [ LessThan.OPERATOR, LessThanOrEqual.OPERATOR ];
+		if (bounds.every(bound => LOWER.includes(bound.operator)) || bounds.every(bound => UPPER.includes(bound.operator))) return false;
+		return null;
+	}
+
 	contains(range) {
 		let result = this.known_bounds.contains(range);
 		for (let i = 0; i < this.parameters.length && result === true; i++)
@@ -1268,11 +2446,29 @@ class Intersection extends Range {
 	}
 
 	containsItem(item) {
-		let result = this.known_bounds.contains(item);
+		let result = this.known_bounds.containsItem(item);
 		for (let i = 0; i < this.parameters.length && result === true; i++)
 			result = this.parametrized_bounds[this.parameters[i]].containsItem(item);
 		return result;
 	}
+
+	compile() {
+		let known_bounds = this.known_bounds.compile();
+		let parametrized_bounds = this.parameters.map(parameter => this.parametrized_bounds[parameter].compile());
+		return item => {
+			let result = known_bounds(item);
+			for (let i = 0; i < parametrized_bounds.length && result === true; i++)
+				result = parametrized_bounds[i](item);
+			return result;
+		};
+	}
+
+	_paramUses(dimension) {
+		return [].concat(
+			this.known_bounds._paramUses(dimension), 
+			...this.parameters.map(parameter => this.parametrized_bounds[parameter]._paramUses(dimension))
+		);
+	}
 		/** Determine if this range contained by another.
 	*
 	*
@@ -1284,7 +2480,7 @@ class Intersection extends Range {
 		// the only way we can know that this range contains a parametrized range is if they have the same
 		// parameter. 
 		if (Param.isParam(range.value)) {
-			let prange = this.parametrized_bounds[range.value.$];
+			let prange = this.parametrized_bounds[range.value.key];
 			return (prange && range.contains(prange));
 		}
 		//However, we can return a definitive false if all the parametrized bounds return false,
@@ -1299,6 +2495,7 @@ class Intersection extends Range {
 
 	intersect(range) {
 		if (range.operator === Unbounded.OPERATOR) return this;
+		if (range.operator === Not.OPERATOR || range.operator === In.OPERATOR || range.operator === Exists.OPERATOR) return range.intersect(this);
 
 		if (range.operator === Intersection.OPERATOR || range.operator === Between.OPERATOR) {
 			let result = range.intersect(this.known_bounds);
@@ -1317,7 +2514,7 @@ class Intersection extends Range {
 
 	toExpression(dimension, formatter, context)	{ 
 		return formatter.andExpr(
-				this.known_bounds.toExpression(dimension, formatter, context),
+				...(this.known_bounds.operator === Unbounded.OPERATOR ? [] : [ this.known_bounds.toExpression(dimension, formatter, context) ]),
 				...Stream.fromProperties(this.parametrized_bounds)
 					.map(([param,bounds]) => bounds.toExpression(dimension, formatter, context))
 					.toArray()
@@ -1330,8 +2527,8 @@ class Intersection extends Range {
 		if (this.operator === range.operator && this.known_bounds.equals(range.known_bounds)) {
 			if (this.parameters.length === range.parameters.length) {
 				let result = true;
-				for (i = 0; i < this.parameters.length && result; i++) {
-					let param = parameters[i];
+				for (let i = 0; i < this.parameters.length && result; i++) {
+					let param = this.parameters[i];
 					let other_bound = range.parametrized_bounds[param];
 					result = other_bound && this.parametrized_bounds[param].equals(other_bound);
 				}
@@ -1344,7 +2541,9 @@ class Intersection extends Range {
 	toString()	{ return JSON.stringify(this); }
 
 	toJSON()	{
-		return { $and : [ this.known_bounds.toJSON(), ...Stream.fromProperties(this.parametrized_bounds).toValues() ] };
+		let bounds = Stream.fromProperties(this.parametrized_bounds).map(([param,bounds]) => bounds.toJSON()).toArray();
+		if (this.known_bounds.operator !== Unbounded.OPERATOR) bounds.unshift(this.known_bounds.toJSON());
+		return { $and : bounds };
 	}
 
 	bind(parameters) {
@@ -1355,27 +2554,457 @@ class Intersection extends Range {
 	}
 }
 
-module.exports = Range; 
+/** Range containing values within some bounds, excluding values in some other ranges.
+*
+* Created by Range.not where the complement of a range can't be expressed as a simple range.
+*
+* @private
+*/
+class Not extends Range {
+
+	static get OPERATOR () { return '$not'; }
+
+	/** construct a range excluding values
+	*
+	* Use Range.not and .intersect to create a negated range; they simplify the result where possible.
+	*
+	* @param {Range} bounds - range of values that are included
+	* @param {Range[]} excluded - ranges of values within bounds which are not included
+	*/
+	constructor(bounds, excluded) {
+		super();
+		this.bounds = bounds;
+		this.excluded = excluded;
+		this.operator = Not.OPERATOR;
+	}
+
+	get depth() {
+		return Math.max(this.bounds.depth, ...this.excluded.map(range => range.depth));
+	}
+
+	// Empty if the bounds are empty or if some excluded range covers them
+	isEmpty() {
+		return Stream.of(this.bounds.isEmpty(), ...this.excluded.map(range => range.contains(this.bounds))).some(empty => empty);
+	}
+
+	/** Create a range of values within bounds but not in any of the excluded ranges.
+	*
+	* Excluded ranges which are disjoint from the bounds are discarded, and excluded ranges which remove only
+	* one end of the bounds are folded into the bounds. Thus [1,5) excluding [3,9) is simply [1,3).
+	*
+	* @param {Range} bounds - range of values that are included
+	* @param {Range[]} excluded - ranges of values which are not included
+	* @returns {Range} a range, or null if the resulting range is empty
+	*/
+	static exclude(bounds, excluded) {
+		// Sets of values are excluded one value at a time, so that values outside the bounds are dropped
+		// and values on the edge of the bounds are folded into the bounds
+		excluded = excluded.reduce((ranges, range) => 
+			range.operator === In.OPERATOR && range.bounds.operator === Unbounded.OPERATOR && !range.values.some(isCollection)
+				? ranges.concat(range.values.map(value => new Equals(value, range.comparator.order)))
+				: ranges.concat([range]), 
+			[]
+		);
+		let remaining = [];
+		for (let range of excluded) {
+			if (range.intersect(bounds) === null) continue;
+			if (range.contains(bounds) === true) return null;
+			let complement = complementOf(range);
+			if (complement) {
+				let parts = complement.map(part => bounds.intersect(part)).filter(part => part !== null);
+				if (parts.length === 0) return null;
+				if (parts.length === 1) {
+					// Bounds have changed, so previously excluded ranges need to be checked again
+					return Not.exclude(parts[0], [...remaining, ...excluded.slice(excluded.indexOf(range) + 1)]);
+				}
+			}
+			if (remaining.some(other => other.contains(range) === true)) continue;
+			remaining = remaining.filter(other => range.contains(other) !== true);
+			remaining.push(range);
+		}
+		let values = remaining.filter(range => range.operator === Equals.OPERATOR);
+		if (values.length > 1) {
+			remaining = remaining.filter(range => range.operator !== Equals.OPERATOR);
+			remaining.push(Range.in(values.map(range => range.value), values[0].comparator.order));
+		}
+		return remaining.length === 0 ? bounds : new Not(bounds, remaining);
+	}
+
+	get comparator() { return this.bounds.comparator || this.excluded[0].comparator; }
+
+	contains(range) {
+		if (range.operator === Not.OPERATOR) {
+			// Can only be sure of containment if everything excluded from this is also excluded from range
+			if (this.bounds.contains(range.bounds) !== true) return null;
+			return Stream.from(this.excluded).every(this_excluded =>
+				this_excluded.intersect(range.bounds) === null
+				|| Stream.from(range.excluded).some(range_excluded => range_excluded.contains(this_excluded))
+				|| null
+			);
+		}
+
+		if (range.operator === Exists.OPERATOR) return range.containedBy(this);
+
+		let result = this.bounds.contains(range);
+		for (let i = 0; i < this.excluded.length && result !== false; i++) {
+			let disjoint = isDisjoint(this.excluded[i], range);
+			if (disjoint !== true) result = disjoint;
+		}
+		return result;
+	}
+
+	/** Determine if this range is contained by another.
+	*/
+	containedBy(range) {
+		if (range.contains(this.bounds) === true) return true;
+		let complement = Range.not(range);
+		if (complement === null || complement.operator === Not.OPERATOR) return null;
+		let outside = this.intersect(complement);
+		if (outside === null) return true;
+		return isParametrized(this) || isParametrized(range) ? null : false;
+	}
+
+	containsItem(item) {
+		// Negation of a value constraint never matches a missing or null value
+		if (isMissing(item)) return false;
+		return Stream.of(
+			this.bounds.containsItem(item),
+			...this.excluded.map(range => { let contains = range.containsItem(item); return contains === null ? null : !contains; })
+		).every(contains => contains);
+	}
+
+	compile() {
+		let bounds = this.bounds.compile();
+		let excluded = this.excluded.map(range => range.compile());
+		return item => {
+			if (isMissing(item)) return false;
+			return every([ bounds(item), ...excluded.map(range => { let contains = range(item); return contains === null ? null : !contains; }) ], contains => contains);
+		};
+	}
+
+	// Parameters in excluded ranges are reported with the operator used in expressions, e.g. '!=' rather than '='
+	_paramUses(dimension) {
+		const NEGATED = { [Equals.OPERATOR]: '!=', [In.OPERATOR]: 'nin' };
+		return [].concat(
+			this.bounds._paramUses(dimension),
+			...this.excluded.map(range => range._paramUses(dimension).map(use => 
+				Object.assign(use, { operator: NEGATED[use.operator] || 'not ' + use.operator })
+			))
+		);
+	}
+
+	intersect(range) {
+		if (range.operator === Unbounded.OPERATOR) return this;
+		if (range.operator === In.OPERATOR || range.operator === Exists.OPERATOR) return range.intersect(this);
+		if (range.operator === Not.OPERATOR) {
+			let bounds = this.bounds.intersect(range.bounds);
+			return bounds === null ? null : Not.exclude(bounds, [...this.excluded, ...range.excluded]);
+		}
+		let bounds = this.bounds.intersect(range);
+		return bounds === null ? null : Not.exclude(bounds, this.excluded);
+	}
+
+	toExpression(dimension, formatter, context) {
+		let expressions = this.excluded.map(range => {
+			if (range.operator === Equals.OPERATOR)
+				return formatter.operExpr(dimension, '!=', range.value, context);
+			if (range.operator === In.OPERATOR && range.bounds.operator === Unbounded.OPERATOR)
+				return formatter.operExpr(dimension, 'nin', range.values, context);
+			return formatter.operExpr(dimension, 'not', range.toExpression(dimension, formatter, context), context);
+		});
+		if (this.bounds.operator !== Unbounded.OPERATOR)
+			expressions.unshift(this.bounds.toExpression(dimension, formatter, context));
+		return expressions.length > 1 ? formatter.andExpr(...expressions) : expressions[0];
+	}
+
+	equals(range) {
+		return this.operator === range.operator
+			&& this.bounds.equals(range.bounds)
+			&& this.excluded.length === range.excluded.length
+			&& this.excluded.every(this_excluded => range.excluded.some(range_excluded => this_excluded.equals(range_excluded)));
+	}
+
+	toString()	{
+		return JSON.stringify(this);
+	}
+
+	/** Convert an excluded range into a bounds object
+	* @private
+	*/
+	_excludedBounds(range, json) {
+		if (range.operator === Equals.OPERATOR) return withOrder({ '!=' : range.value }, range.comparator);
+		if (range.operator === In.OPERATOR && range.bounds.operator === Unbounded.OPERATOR) return withOrder({ $nin : range.values }, range.comparator);
+		return { [this.operator] : json ? range.toJSON() : range.toBoundsObject() };
+	}
+
+	toBoundsObject() {
+		let excluded = this.excluded.map(range => this._excludedBounds(range, false));
+		if (this.bounds.operator === Unbounded.OPERATOR && excluded.length === 1) return excluded[0];
+		if (this.bounds.operator !== Unbounded.OPERATOR) excluded.unshift(this.bounds.toBoundsObject());
+		return { $and: excluded };
+	}
+
+	toJSON() {
+		let excluded = this.excluded.map(range => this._excludedBounds(range, true));
+		if (this.bounds.operator === Unbounded.OPERATOR && excluded.length === 1) return excluded[0];
+		if (this.bounds.operator !== Unbounded.OPERATOR) excluded.unshift(this.bounds.toJSON());
+		return { $and: excluded };
+	}
+
+	bind(parameters) {
+		let bounds = this.bounds.bind(parameters);
+		if (bounds === null) return null;
+		let excluded = this.excluded
+			.map(range => range.bind(parameters))
+			.filter(range => range !== null);
+		if (bounds === this.bounds && excluded.length === this.excluded.length
+			&& excluded.every((range, index) => range === this.excluded[index])) return this;
+		return Not.exclude(bounds, excluded);
+	}
+}
+
+/** Get the complement of a range as a list of simple ranges
+*
+* @private
+* @param {Range} range - range to complement
+* @returns {Range[]} simple ranges which together contain every value not in range, or null if no such list exists
+*/
+function complementOf(range) {
+	let order = range.comparator && range.comparator.order;
+	switch (range.operator) {
+		case LessThan.OPERATOR: return [ new GreaterThanOrEqual(range.value, order) ];
+		case LessThanOrEqual.OPERATOR: return [ new GreaterThan(range.value, order) ];
+		case GreaterThan.OPERATOR: return [ new LessThanOrEqual(range.value, order) ];
+		case GreaterThanOrEqual.OPERATOR: return [ new LessThan(range.value, order) ];
+		case Equals.OPERATOR: return [ new LessThan(range.value, order), new GreaterThan(range.value, order) ];
+		case Between.OPERATOR: return [ ...complementOf(range.lower_bound), ...complementOf(range.upper_bound) ];
+		case Prefix.OPERATOR: return range.toBetween() && complementOf(range.toBetween());
+		case Exists.OPERATOR: return [ Exists.create(!range.missing, !range.null, !range.defined) ];
+		default: return null;
+	}
+}
+
+/** Get the missing and null values which are not in a range
+*
+* @private
+* @param {Range} range - a range other than Exists
+* @returns {Range} an Exists range, or null if range contains both missing and null values
+*/
+function missingComplementOf(range) {
+	return Exists.create(range.containsItem(undefined) !== true, range.containsItem(null) !== true, false);
+}
+
+/** Check whether a value is a parameter standing for a set of values, as in `{ $in: $.tags }`
+*
+* @private
+*/
+function isCollection(value) {
+	return Param.isParam(value) && value.type === 'array';
+}
+
+/** Get a parameter which must be bound to an array, for use in place of a set of values
+*
+* @private
+* @param {Param} param - a parameter
+* @returns {Param} the parameter, with type 'array'
+* @throws {RangeError} if the parameter already has some other type
+*/
+function collectionParam(param) {
+	if (param.type !== undefined && param.type !== 'array') throw new RangeError(`Parameter ${param} can't be used as a set of values`);
+	return param.array();
+}
+
+/** Check whether a range depends on any parameter
+*
+* @private
+* @param {Range} range - range to check
+* @returns true if range has any parametrized bound
+*/
+function isParametrized(range) {
+	if (Param.isParam(range.value)) return true;
+	switch (range.operator) {
+		case Between.OPERATOR: return isParametrized(range.lower_bound) || isParametrized(range.upper_bound);
+		case Intersection.OPERATOR: return range.parameters.length > 0;
+		case Not.OPERATOR: return isParametrized(range.bounds) || range.excluded.some(isParametrized);
+		case HasElementsMatching.OPERATOR: return range.bounds.some(isParametrized);
+		case In.OPERATOR: return range.values.some(value => Param.isParam(value)) || isParametrized(range.bounds);
+		case Regex.OPERATOR: 
+		case Like.OPERATOR: return isParametrized(range.bounds);
+		case Subquery.OPERATOR: return range.query.union.some(cube => Stream.fromProperties(cube).some(([dimension,bound]) => isParametrized(bound)));
+		default: return false;
+	}
+}
+
+/** Add the name of a custom order to a bounds object
+*
+* @private
+* @param {Range~Bounds} bounds - bounds object, which is modified
+* @param {Comparator} comparator - comparator used by the range
+* @returns {Range~Bounds} bounds
+*/
+function withOrder(bounds, comparator) {
+	if (comparator.order !== DEFAULT_ORDER) bounds.order = comparator.order.name;
+	return bounds;
+}
+
+/** Replace bounds objects which name a custom order with ranges using that order
+*
+* @private
+* @param json - JSON representation of a range
+* @param {Object<string,Range~OrderingFunction>} orders - ordering functions by name
+* @returns json, with any bounds object which has an order property replaced by a Range
+* @throws {RangeError} if an order is not found
+*/
+function reviveOrders(json, orders) {
+	if (Array.isArray(json)) return json.map(item => reviveOrders(item, orders));
+	if (json === null || typeof json !== 'object' || json instanceof Date || json instanceof Range || Param.isParam(json) || Param.isParamObject(json)) 
+		return json;
+
+	let result = {};
+	Stream.fromProperties(json).forEach(([key,value]) => result[key] = key === 'order' ? value : reviveOrders(value, orders));
+
+	if (json.order !== undefined && RANGE_OPERATORS[Object.keys(json)[0]]) {
+		let order = orders[json.order];
+		if (typeof order !== 'function') throw new RangeError(`Unknown order: ${json.order}`);
+		return Range.fromBounds(result, order);
+	}
+	return result;
+}
+
+/** Tri-state version of Array.every, giving the same results as Stream.every
+*
+* @private
+* @param {Array} values - values to test
+* @param {Function} predicate - returns true, false, or null for a value
+* @returns true if predicate is true for every value, false if it is false for any value, null otherwise
+*/
+function every(values, predicate) {
+	let result = true;
+	for (let value of values) {
+		let contains = predicate(value);
+		if (contains === null) result = null;
+		else if (!contains) return false;
+	}
+	return result;
+}
+
+/** Tri-state version of Array.some, giving the same results as Stream.some
+*
+* @private
+* @param {Array} values - values to test
+* @param {Function} predicate - returns true, false, or null for a value
+* @returns true if predicate is true for any value, false if it is false for every value, null otherwise
+*/
+function some(values, predicate) {
+	let result = false;
+	for (let value of values) {
+		let contains = predicate(value);
+		if (contains === null) result = null;
+		else if (contains) return true;
+	}
+	return result;
+}
+
+/** Check whether an item is missing or null
+*
+* @private
+* @returns true if item is null or undefined
+*/
+function isMissing(item) {
+	return item === undefined || item === null;
+}
+
+/** Get the values in an equals or $in range
+*
+* @private
+* @returns {Array} values in range, or null if range is not a simple set of values
+*/
+function valuesOf(range) {
+	if (range.operator === Equals.OPERATOR) return [ range.value ];
+	if (range.operator === In.OPERATOR && range.bounds.operator === Unbounded.OPERATOR) return range.values;
+	return null;
+}
+
+/** Get the lower bound of a range
+*
+* @private
+* @returns {Range} greater than (or equal) range, undefined if range has no lower bound, or null if range is not an interval
+*/
+function lowerBoundOf(range) {
+	switch (range.operator) {
+		case GreaterThan.OPERATOR:
+		case GreaterThanOrEqual.OPERATOR: return range;
+		case LessThan.OPERATOR:
+		case LessThanOrEqual.OPERATOR: return undefined;
+		case Between.OPERATOR: return range.lower_bound;
+		case Equals.OPERATOR: return new GreaterThanOrEqual(range.value, range.comparator.order);
+		case Prefix.OPERATOR: return range.toBetween() && lowerBoundOf(range.toBetween());
+		default: return null;
+	}
+}
+
+/** Get the upper bound of a range
+*
+* @private
+* @returns {Range} less than (or equal) range, undefined if range has no upper bound, or null if range is not an interval
+*/
+function upperBoundOf(range) {
+	switch (range.operator) {
+		case LessThan.OPERATOR:
+		case LessThanOrEqual.OPERATOR: return range;
+		case GreaterThan.OPERATOR:
+		case GreaterThanOrEqual.OPERATOR: return undefined;
+		case Between.OPERATOR: return range.upper_bound;
+		case Equals.OPERATOR: return new LessThanOrEqual(range.value, range.comparator.order);
+		case Prefix.OPERATOR: return range.toBetween() && upperBoundOf(range.toBetween());
+		default: return null;
+	}
+}
+
+/** Pick whichever of two bounds on the same side contains the other
+*
+* @private
+* @returns {Range} the looser bound, undefined if either bound is undefined, or null if neither can be picked
+*/
+function looserBound(bound, other) {
+	if (bound === null || other === null) return null;
+	if (bound === undefined || other === undefined) return undefined;
+	if (bound.contains(other) === true) return bound;
+	if (other.contains(bound) === true) return other;
+	return null;
+}
+
+/** Check whether two ranges have no values in common
+*
+* @private
+* @returns true if the ranges are disjoint, false if they overlap, null if this can't be determined
+*/
+function isDisjoint(a, b) {
+	if (a.intersect(b) === null) return true;
+	if (a.contains(b) === true || b.contains(a) === true) return false;
+	return isParametrized(a) || isParametrized(b) ? null : false;
+}
+
+module.exports = Range;
 
 const Query = require('./query');
 
 /** @private */
 function fuckingcommonjscylicdependencybullshit(obj, default_constructor = Range.equals, order = DEFAULT_ORDER) {
-		if (!obj) return obj;
+		if (obj === undefined || obj === null) return obj;
 		if (Range.isRange(obj)) return obj;
 		if (Query.isQuery(obj)) return Range.subquery(obj);
+		if (obj instanceof RegExp) return Range.regex(obj, order);
 
 		let propname = Object.keys(obj)[0];
 		let constructor = Range.OPERATORS[propname];
 		
 		// if Range.OPERATORS contained a value, we have a bounds object
 		if (constructor) { 
-			let value = obj[propname];
-			value = Param.isParamObject(value) ? Param.from(value) : value;
-			return constructor(value, order);
+			return Range.fromBounds(obj, order);
 		} else {
 			let value = Param.isParamObject(obj) ? Param.from(obj) : obj;
-			if (typeof value !== 'object' || Param.isParam(value) || order !== DEFAULT_ORDER)
+			if (typeof value !== 'object' || value instanceof Date || Param.isParam(value) || order !== DEFAULT_ORDER)
 				return default_constructor(value, order)
 			else
 				return Range.subquery(Query.from(value));
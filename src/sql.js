@@ -0,0 +1,334 @@
+const { Param, ParamExpression } = require('./param');
+
+/** An SQL expression with values held separately from the SQL text.
+*
+* An expression is built from a list of parts, each of which is a fragment of SQL, a value, or a parameter.
+* Placeholders for values are only numbered when the final sql is requested, so that expressions can be
+* freely combined.
+*
+* @private
+*/
+class SqlExpression {
+
+	/** construct an expression
+	*
+	* @param {SqlFormatter} formatter - formatter which provides placeholders
+	* @param {Array<string|SqlExpression|SqlValue|Param>} parts - parts of the expression
+	*/
+	constructor(formatter, parts) {
+		this.formatter = formatter;
+		this.parts = parts.reduce((result, part) =>
+			result.concat(part instanceof SqlExpression ? part.parts : part instanceof ParamExpression ? expressionParts(part) : [ part ]),
+			[]
+		);
+	}
+
+	/** Render the expression
+	* @returns {Object} sql text and values for placeholders in the text
+	*/
+	render() {
+		let named = this.formatter.named;
+		let params = named ? {} : [];
+		let sql = '';
+		let index = 0;
+		// Names of values must not clash with the names of unbound parameters
+		let param_names = new Set(this.parts.filter(part => Param.isParam(part)).map(part => part.$));
+		for (let part of this.parts) {
+			if (typeof part === 'string') {
+				sql += part;
+			} else if (Param.isParam(part)) {
+				sql += this.formatter.namedPlaceholder(part.$);
+			} else if (named) {
+				let name = this.formatter.valueName(index++);
+				while (param_names.has(name)) name = this.formatter.valueName(index++);
+				params[name] = part.value;
+				sql += this.formatter.namedPlaceholder(name);
+			} else {
+				params.push(part.value);
+				sql += this.formatter.placeholder(index++);
+			}
+		}
+		return { sql, params };
+	}
+
+	/** SQL text, with placeholders for values and named placeholders for unbound parameters */
+	get sql() { return this.render().sql; }
+
+	/** Values for placeholders, as an array (or an object if named placeholders are used) */
+	get params() { return this.render().params; }
+
+	toString() { return this.sql; }
+}
+
+/** A value which should be passed to the database as a bind parameter
+*
+* @private
+*/
+class SqlValue {
+	constructor(value) {
+		this.value = value;
+	}
+}
+
+/** Convert a parameter expression to parts of an SqlExpression
+*
+* @private
+* @param {ParamExpression} expression - parameter expression
+* @returns {Array<string|SqlValue|Param>} parts of an SqlExpression
+*/
+function expressionParts(expression) {
+	if (expression.is_date) throw new RangeError(`Date offsets are not supported in SQL: ${expression}`);
+	let parts = [ '(', expression.param ];
+	if (expression.scale !== 1) parts.push(' * ', new SqlValue(expression.scale));
+	if (expression.offset !== 0) parts.push(' + ', new SqlValue(expression.offset));
+	parts.push(')');
+	return parts;
+}
+
+/** Map operators on which no special handling is required to SQL operators
+*
+* @private
+*/
+const SQL_OPERATORS = {
+	'=' : '=',
+	'<' : '<',
+	'<=' : '<=',
+	'>' : '>',
+	'>=' : '>=',
+	'!=' : '<>'
+};
+
+/** Formatter which creates an SQL 'where' clause from a query.
+*
+* The result of `query.toExpression(new SqlFormatter())` is an object with an `sql` property containing the SQL text
+* and a `params` property containing the values to be bound to placeholders in the text. Values are never
+* included in the SQL text itself. Unbound query parameters are emitted as named placeholders; values for them
+* must be supplied by the caller when the statement is executed.
+*
+* SQL does not distinguish between missing and null values; thus `$exists: false` and `$null: true` both
+* become `IS NULL`, and `$exists: true` and `$null: false` both become `IS NOT NULL`.
+*
+* Different SQL dialects can be supported by overriding the methods `quoteIdentifier`, `placeholder`,
+* `namedPlaceholder`, `valueName`, `elementColumn`, `correlation`, `subselect`, `allSubselect`, `cardinalityExpr`,
+* `regexExpr` and `concatExpr`, either in a subclass or by passing replacement functions in the options object.
+*
+* Conditions on arrays (`$has`, or `$hasAll` with an array parameter) become subselects on a child table, which must 
+* be correlated with the row of the parent table; `correlation` (or `subselect` and `allSubselect`) must be supplied 
+* to format such conditions.
+*
+* @implements {QueryFormatter}
+*/
+class SqlFormatter {
+
+	/** Create an SQL formatter
+	*
+	* @param {Object} [options] - options
+	* @param {boolean} [options.named=false] - if true, values are emitted with named rather than positional placeholders, and params is an object
+	* @param {Function} [options.quoteIdentifier] - override quoteIdentifier
+	* @param {Function} [options.placeholder] - override placeholder
+	* @param {Function} [options.namedPlaceholder] - override namedPlaceholder
+	* @param {Function} [options.valueName] - override valueName
+	* @param {Function} [options.elementColumn] - override elementColumn
+	* @param {Function} [options.correlation] - override correlation
+	* @param {Function} [options.subselect] - override subselect
+	* @param {Function} [options.allSubselect] - override allSubselect
+	* @param {Function} [options.cardinalityExpr] - override cardinalityExpr
+	* @param {Function} [options.regexExpr] - override regexExpr
+	* @param {Function} [options.concatExpr] - override concatExpr
+	*/
+	constructor(options = {}) {
+		Object.assign(this, { named: false }, options);
+	}
+
+	/** Quote an identifier
+	* @param {string} name - a table or column name
+	* @returns {string} quoted name
+	*/
+	quoteIdentifier(name) {
+		return '"' + name.replace(/"/g, '""') + '"';
+	}
+
+	/** Get a positional placeholder
+	* @param {number} index - zero-based index of value in params
+	* @returns {string} placeholder text
+	*/
+	placeholder(index) {
+		return '?';
+	}
+
+	/** Get a named placeholder
+	* @param {string} name - name of parameter
+	* @returns {string} placeholder text
+	*/
+	namedPlaceholder(name) {
+		return ':' + name;
+	}
+
+	/** Get the name of a value when named placeholders are used
+	*
+	* Names which are the same as the name of an unbound parameter in the expression are skipped.
+	*
+	* @param {number} index - zero-based index of value
+	* @returns {string} name of value in params
+	*/
+	valueName(index) {
+		return 'v' + (index + 1);
+	}
+
+	/** Get the column which holds the elements of an array in a 'has' subselect
+	* @param {QueryFormatter~Context} context - context of the 'has' expression
+	* @returns {string} quoted column name
+	*/
+	elementColumn(context) {
+		return this.quoteIdentifier('value');
+	}
+
+	/** Get a condition which selects the rows of a child table belonging to the current row of the parent table
+	*
+	* There is no default; for example `(table, context) => [ table, '.person_id = person.id' ]`.
+	*
+	* @param {string} table - quoted name of the child table
+	* @param {QueryFormatter~Context} context - context of the parent query
+	* @returns {Array} parts of an SqlExpression
+	* @throws {RangeError} unless overridden
+	*/
+	correlation(table, context) {
+		throw new RangeError(`SqlFormatter needs a correlation to select rows of ${table} belonging to the parent row`);
+	}
+
+	/** Get an expression which checks that some row in a child table matches a condition
+	*
+	* @param {string} table - quoted name of the child table
+	* @param {SqlExpression} condition - condition on rows of the child table
+	* @param {QueryFormatter~Context} context - context of the parent query
+	* @returns {Array} parts of an SqlExpression
+	*/
+	subselect(table, condition, context) {
+		return [ 'EXISTS (SELECT 1 FROM ', table, ' WHERE ', ...this.correlation(table, context), ' AND ', condition, ')' ];
+	}
+
+	/** Get an expression which checks that the rows of a child table include every element of an array parameter
+	*
+	* The default implementation counts the distinct elements of the array which are found in the child table, so
+	* the array should not contain duplicates.
+	*
+	* @param {string} table - quoted name of the child table
+	* @param {string} column - quoted name of the column holding the elements
+	* @param {Param} array - parameter which will be bound to an array
+	* @param {QueryFormatter~Context} context - context of the parent query
+	* @returns {Array} parts of an SqlExpression
+	*/
+	allSubselect(table, column, array, context) {
+		return [
+			'(SELECT COUNT(DISTINCT ', column, ') FROM ', table, ' WHERE ', ...this.correlation(table, context), 
+			' AND ', column, ' IN (', array, ')) = ', ...this.cardinalityExpr(array)
+		];
+	}
+
+	/** Get an expression for the number of elements in an array
+	* @param {Param} array - parameter which will be bound to an array
+	* @returns {Array} parts of an SqlExpression
+	*/
+	cardinalityExpr(array) {
+		return [ 'CARDINALITY(', array, ')' ];
+	}
+
+	/** Get an expression which checks a column matches a regular expression
+	* @param {string} column - quoted column name
+	* @param {SqlValue|Param} pattern - regular expression source
+	* @returns {Array} parts of an SqlExpression
+	*/
+	regexExpr(column, pattern) {
+		return [ column, ' REGEXP ', pattern ];
+	}
+
+	/** Get an expression which concatenates two strings
+	* @returns {Array} parts of an SqlExpression
+	*/
+	concatExpr(a, b) {
+		return [ a, ' || ', b ];
+	}
+
+	/** Get the quoted name of a column
+	*
+	* Columns in a subquery are qualified with the dimension of the parent query. A null dimension refers to
+	* the elements of an array in a 'has' subselect.
+	*
+	* @param {string} dimension - name of column
+	* @param {QueryFormatter~Context} context - context of parent queries
+	* @returns {string} quoted column name
+	*/
+	column(dimension, context) {
+		if (dimension === null) return this.elementColumn(context);
+		let result = this.quoteIdentifier(dimension);
+		while (context && context.dimension) {
+			result = this.quoteIdentifier(context.dimension) + '.' + result;
+			context = context.context;
+		}
+		return result;
+	}
+
+	/** Convert a value to a part of an SqlExpression
+	* @private
+	*/
+	_value(value) {
+		return Param.isParam(value) ? value : new SqlValue(value);
+	}
+
+	andExpr(...ands) {
+		if (ands.length === 0) return new SqlExpression(this, [ '1=1' ]);
+		return new SqlExpression(this, ands.reduce((parts, and, index) => index === 0 ? [ and ] : parts.concat([ ' AND ', and ]), []));
+	}
+
+	orExpr(...ors) {
+		if (ors.length === 0) return new SqlExpression(this, [ '1=0' ]);
+		return new SqlExpression(this, [ '(', ...ors.reduce((parts, or, index) => index === 0 ? [ or ] : parts.concat([ ' OR ', or ]), []), ')' ]);
+	}
+
+	operExpr(dimension, operator, value, context) {
+		if (operator === 'match') return value;
+		if (operator === 'not') return new SqlExpression(this, [ 'NOT (', value, ')' ]);
+		if (operator === 'has') return new SqlExpression(this, this.subselect(this.column(dimension, context), value, context));
+		if (operator === 'hasAll') 
+			return new SqlExpression(this, this.allSubselect(this.column(dimension, context), this.elementColumn({ dimension, context }), value, context));
+
+		let column = this.column(dimension, context);
+
+		if (SQL_OPERATORS[operator])
+			return new SqlExpression(this, [ column, ' ', SQL_OPERATORS[operator], ' ', this._value(value) ]);
+
+		switch (operator) {
+			case 'in':
+			case 'nin':
+				return new SqlExpression(this, [
+					column,
+					operator === 'in' ? ' IN (' : ' NOT IN (',
+					...value.reduce((parts, item, index) => index === 0 ? [ this._value(item) ] : parts.concat([ ', ', this._value(item) ]), []),
+					')'
+				]);
+			case 'exists':
+				return new SqlExpression(this, [ column, value ? ' IS NOT NULL' : ' IS NULL' ]);
+			case 'null':
+				return new SqlExpression(this, [ column, value ? ' IS NULL' : ' IS NOT NULL' ]);
+			case 'like':
+				return new SqlExpression(this, [ column, ' LIKE ', this._value(value), " ESCAPE '\\'" ]);
+			case 'prefix':
+				return new SqlExpression(this, [
+					column,
+					' LIKE ',
+					...(Param.isParam(value)
+						? this.concatExpr(value, "'%'")
+						: [ this._value(value.replace(/[\\%_]/g, '\\$&') + '%') ]),
+					" ESCAPE '\\'"
+				]);
+			case 'regex':
+				if (value instanceof RegExp && value.flags)
+					throw new RangeError(`Regular expression flags are not supported in SQL: ${value}`);
+				return new SqlExpression(this, this.regexExpr(column, this._value(value instanceof RegExp ? value.source : value)));
+			default:
+				throw new RangeError(`Unsupported operator: ${operator}`);
+		}
+	}
+}
+
+module.exports = SqlFormatter;
@@ -0,0 +1,96 @@
+const { Query, QueryCache, $ } = require( '../src');
+const chai = require('chai');
+const debug = require('debug')('abstract-query~tests');
+const expect = chai.expect;
+
+const DATA = [
+    { name: 'jonathan', age: 12 },
+    { name: 'cindy', age: 18 },
+    { name: 'ada', age: 21 },
+    { name: 'steve', age: 29 }
+];
+
+describe('QueryCache', () => {
+
+    it('answers lookups for equal queries', () => {
+        let cache = new QueryCache();
+        let query = Query.from({ age: [,20], name: { $prefix: 'c' } });
+        expect(cache.get(query)).to.be.undefined;
+        cache.set(query, DATA.filter(query.predicate));
+        let result = cache.get(Query.from({ name: { $prefix: 'c' }, age: [,20] }));
+        expect(result).to.deep.equal([ { name: 'cindy', age: 18 } ]);
+        expect(cache.statistics).to.deep.equal({ hits: 1, misses: 1, evictions: 0, invalidations: 0, entries: 1, items: 1 });
+    });
+
+    it('answers lookups by filtering a superset', () => {
+        let cache = new QueryCache();
+        let query = Query.from({ age: [10,30] });
+        cache.set(query, DATA.filter(query.predicate));
+        expect(cache.get(Query.from({ age: [15,25] }))).to.deep.equal([ { name: 'cindy', age: 18 }, { name: 'ada', age: 21 } ]);
+        expect(cache.get(Query.from({ age: [15,25], name: 'ada' }))).to.deep.equal([ { name: 'ada', age: 21 } ]);
+        expect(cache.get(Query.from({ age: [15,35] }))).to.be.undefined;
+        expect(cache.get(Query.from({ age: [15,$.max] }))).to.be.undefined;
+        expect(cache.has(Query.from({ age: [20,30] }))).to.be.true;
+        expect(cache.statistics.hits).to.equal(2);
+        expect(cache.statistics.misses).to.equal(2);
+    });
+
+    it('replaces result sets for contained queries', () => {
+        let cache = new QueryCache();
+        cache.set(Query.from({ age: [10,20] }), DATA.slice(0,2));
+        cache.set(Query.from({ age: [20,30] }), DATA.slice(2));
+        cache.set(Query.from({ age: [10,30] }), DATA);
+        expect(cache.size).to.equal(1);
+        expect(cache.statistics.items).to.equal(4);
+    });
+
+    it('evicts least recently used result sets', () => {
+        let cache = new QueryCache({ max_entries: 2 });
+        let query1 = Query.from({ name: 'jonathan' });
+        let query2 = Query.from({ name: 'cindy' });
+        let query3 = Query.from({ name: 'ada' });
+        cache.set(query1, DATA.slice(0,1));
+        cache.set(query2, DATA.slice(1,2));
+        cache.get(query1);
+        cache.set(query3, DATA.slice(2,3));
+        expect(cache.has(query1)).to.be.true;
+        expect(cache.has(query2)).to.be.false;
+        expect(cache.has(query3)).to.be.true;
+        expect(cache.statistics.evictions).to.equal(1);
+    });
+
+    it('evicts result sets to stay within item limit', () => {
+        let cache = new QueryCache({ max_items: 3 });
+        cache.set(Query.from({ age: [,20] }), DATA.slice(0,2));
+        cache.set(Query.from({ age: [20,] }), DATA.slice(2));
+        expect(cache.size).to.equal(1);
+        expect(cache.statistics.items).to.equal(2);
+        cache.set(Query.from({ name: { $prefix: '' } }), DATA);
+        expect(cache.size).to.equal(0);
+        expect(cache.statistics.items).to.equal(0);
+    });
+
+    it('invalidates result sets containing changed items', () => {
+        let cache = new QueryCache();
+        cache.set(Query.from({ age: [,20] }), DATA.slice(0,2));
+        cache.set(Query.from({ age: [20,] }), DATA.slice(2));
+        cache.set(Query.from({ name: $.name }), []);
+        expect(cache.invalidate({ name: 'ada', age: 19 })).to.equal(2);
+        expect(cache.has(Query.from({ age: [20,] }))).to.be.true;
+        expect(cache.invalidate({ name: 'steve', age: 29 }, { name: 'steve', age: 30 })).to.equal(1);
+        expect(cache.size).to.equal(0);
+        expect(cache.statistics.invalidations).to.equal(3);
+    });
+
+    it('can delete and clear result sets', () => {
+        let cache = new QueryCache();
+        cache.set(Query.from({ age: [,20] }), DATA.slice(0,2));
+        cache.set(Query.from({ age: [20,] }), DATA.slice(2));
+        expect(cache.delete(Query.from({ age: [,20] }))).to.be.true;
+        expect(cache.delete(Query.from({ age: [,20] }))).to.be.false;
+        cache.clear();
+        expect(cache.statistics).to.include({ entries: 0, items: 0 });
+        cache.resetStatistics();
+        expect(cache.statistics.misses).to.equal(0);
+    });
+});
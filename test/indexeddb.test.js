@@ -0,0 +1,124 @@
+const { Query, IndexedDbPlanner, $ } = require( '../src');
+const chai = require('chai');
+const debug = require('debug')('abstract-query~tests');
+const expect = chai.expect;
+
+/** Minimal in-memory stand-in for IDBKeyRange */
+class MemoryKeyRange {
+    constructor(lower, upper, lowerOpen, upperOpen) {
+        Object.assign(this, { lower, upper, lowerOpen, upperOpen });
+    }
+    static only(value) { return new MemoryKeyRange(value, value, false, false); }
+    static lowerBound(lower, open = false) { return new MemoryKeyRange(lower, undefined, open, false); }
+    static upperBound(upper, open = false) { return new MemoryKeyRange(undefined, upper, false, open); }
+    static bound(lower, upper, lowerOpen = false, upperOpen = false) { return new MemoryKeyRange(lower, upper, lowerOpen, upperOpen); }
+    includes(key) {
+        if (this.lower !== undefined && (this.lowerOpen ? key <= this.lower : key < this.lower)) return false;
+        if (this.upper !== undefined && (this.upperOpen ? key >= this.upper : key > this.upper)) return false;
+        return true;
+    }
+}
+
+/** Retrieve items from an in-memory 'object store' using a query plan */
+function execute(data, plans) {
+    let result = new Set();
+    for (let { index, range, residual } of plans) {
+        let key_range = IndexedDbPlanner.toKeyRange(range, MemoryKeyRange);
+        data
+            .filter(item => !index || (item[index] !== undefined && (!key_range || key_range.includes(item[index]))))
+            .filter(residual.predicate)
+            .forEach(item => result.add(item));
+    }
+    return data.filter(item => result.has(item));
+}
+
+const DATA = [
+    { name: 'jonathan', age: 45, grade: 'B' },
+    { name: 'cindy', age: 18, grade: 'A' },
+    { name: 'ada', age: 21, grade: 'C' },
+    { name: 'alan', age: 41, grade: 'A' },
+    { name: 'grace', grade: 'B' }
+];
+
+describe('IndexedDbPlanner', () => {
+
+    it('uses index for equality in preference to range', () => {
+        let planner = new IndexedDbPlanner([ 'age', 'grade' ]);
+        let [ plan ] = planner.plan(Query.from({ age: [18, 42], grade: 'A' }));
+        expect(plan.index).to.equal('grade');
+        expect(plan.range).to.deep.equal({ lower: 'A', upper: 'A', lowerOpen: false, upperOpen: false });
+        expect(plan.residual.equals(Query.from({ age: [18, 42] }))).to.be.true;
+    });
+
+    it('creates key ranges with open and closed bounds', () => {
+        let planner = new IndexedDbPlanner([ 'age' ]);
+        expect(planner.plan(Query.from({ age: [18, 42] }))[0].range).to.deep.equal({ lower: 18, upper: 42, lowerOpen: false, upperOpen: true });
+        expect(planner.plan(Query.from({ age: { '>': 18 } }))[0].range).to.deep.equal({ lower: 18, upper: undefined, lowerOpen: true, upperOpen: false });
+        expect(planner.plan(Query.from({ age: { '<=': 42 } }))[0].range).to.deep.equal({ lower: undefined, upper: 42, lowerOpen: false, upperOpen: false });
+        expect(planner.plan(Query.from({ name: { $prefix: 'a' } }))[0].index).to.be.null;
+        expect(new IndexedDbPlanner([ 'name' ]).plan(Query.from({ name: { $prefix: 'a' } }))[0].range).to.deep.equal({ lower: 'a', upper: 'b', lowerOpen: false, upperOpen: true });
+    });
+
+    it('keeps inexact constraints in residual query', () => {
+        let planner = new IndexedDbPlanner([ 'age' ]);
+        let [ plan ] = planner.plan(Query.from({ age: { $in: [ 21, 45, 18 ] } }));
+        expect(plan.range).to.deep.equal({ lower: 18, upper: 45, lowerOpen: false, upperOpen: false });
+        expect(plan.residual.equals(Query.from({ age: { $in: [ 21, 45, 18 ] } }))).to.be.true;
+        [ plan ] = planner.plan(Query.from({ age: { $not: 21 } }));
+        expect(plan.index).to.be.null;
+    });
+
+    it('keeps ranges which may contain keys of other types in residual query', () => {
+        let planner = new IndexedDbPlanner([ 'name', 'age' ]);
+        let [ plan ] = planner.plan(Query.from({ name: { '<': 'm' } }));
+        expect(plan.range).to.deep.equal({ lower: undefined, upper: 'm', lowerOpen: false, upperOpen: true });
+        expect(plan.residual.equals(Query.from({ name: { '<': 'm' } }))).to.be.true;
+        [ plan ] = planner.plan(Query.from({ name: { $prefix: '' } }));
+        expect(plan.range).to.deep.equal({ lower: '', upper: undefined, lowerOpen: false, upperOpen: false });
+        expect(plan.residual.equals(Query.from({ name: { $prefix: '' } }))).to.be.true;
+        [ plan ] = planner.plan(Query.from({ age: { '>': 18 } }));
+        expect(plan.residual.equals(Query.from({ age: { '>': 18 } }))).to.be.true;
+        [ plan ] = planner.plan(Query.from({ age: { '<=': 42 } }));
+        expect(plan.residual.equals(Query.from({}))).to.be.true;
+        [ plan ] = planner.plan(Query.from({ age: [ 18, new Date(1000) ] }));
+        expect(plan.residual.equals(Query.from({ age: [ 18, new Date(1000) ] }))).to.be.true;
+        [ plan ] = planner.plan(Query.from({ name: [ 'a', 'm' ] }));
+        expect(plan.residual.equals(Query.from({}))).to.be.true;
+    });
+
+    it('does not use parametrized ranges', () => {
+        let planner = new IndexedDbPlanner([ 'age', 'grade' ]);
+        let [ plan ] = planner.plan(Query.from({ age: $.age, grade: [ 'A', 'C' ] }));
+        expect(plan.index).to.equal('grade');
+        expect(plan.residual.equals(Query.from({ age: $.age }))).to.be.true;
+    });
+
+    it('creates one plan per cube', () => {
+        let planner = new IndexedDbPlanner([ 'age', 'grade' ]);
+        let query = Query.from({ age: [,20] }).or({ grade: 'C', name: 'ada' }).or({ name: 'grace' });
+        let plans = planner.plan(query);
+        expect(plans.map(plan => plan.index)).to.deep.equal([ 'age', 'grade', null ]);
+    });
+
+    it('retrieves same items as predicate', () => {
+        let planner = new IndexedDbPlanner([ 'age', 'grade', 'name' ]);
+        let queries = [
+            Query.from({ age: [18, 42], grade: 'A' }),
+            Query.from({ age: [,20] }).or({ grade: 'C', name: { $prefix: 'a' } }).or({ name: 'grace' }),
+            Query.from({ age: { $in: [ 21, 45 ] } }),
+            Query.from({ grade: { $nin: [ 'A' ] }, age: { '>': 20 } }),
+            Query.from({ grade: { $exists: true } })
+        ];
+        for (let query of queries) {
+            let result = execute(DATA, planner.plan(query));
+            debug(JSON.stringify(result));
+            expect(result).to.deep.equal(DATA.filter(query.predicate));
+        }
+    });
+
+    it('converts key range description to IDBKeyRange', () => {
+        expect(IndexedDbPlanner.toKeyRange(null, MemoryKeyRange)).to.be.undefined;
+        expect(IndexedDbPlanner.toKeyRange({ lower: 1, upper: 1, lowerOpen: false, upperOpen: false }, MemoryKeyRange)).to.deep.equal(MemoryKeyRange.only(1));
+        expect(IndexedDbPlanner.toKeyRange({ lower: 1, upper: 5, lowerOpen: true, upperOpen: false }, MemoryKeyRange)).to.deep.equal(MemoryKeyRange.bound(1, 5, true, false));
+    });
+});
@@ -0,0 +1,95 @@
+const { Query, MongoFormatter, $ } = require( '../src');
+const chai = require('chai');
+const debug = require('debug')('abstract-query~tests');
+const expect = chai.expect;
+
+describe('MongoFormatter', () => {
+
+    it('creates filter with comparison operators', () => {
+        let query = Query.from({ x: [1,5], y: 'abc', z: { '>': 3 } });
+        expect(query.toExpression(new MongoFormatter())).to.deep.equal({ x: { $gte: 1, $lt: 5 }, y: 'abc', z: { $gt: 3 } });
+    });
+
+    it('creates filter with or', () => {
+        let query = Query.from({ x: [1,5], y: 'abc' }).or({ x: [7,], y: 'abc' }).or({ z: 2 });
+        let filter = query.toExpression(new MongoFormatter());
+        debug(JSON.stringify(filter));
+        expect(filter).to.deep.equal({ $or: [ { y: 'abc', $or: [ { x: { $gte: 1, $lt: 5 } }, { x: { $gte: 7 } } ] }, { z: 2 } ] });
+    });
+
+    it('creates filter with dotted paths for subqueries', () => {
+        let query = Query.from({ age: [,50], expertise: { language: 'java', level: { $in: ['expert', 'guru'] } } });
+        expect(query.toExpression(new MongoFormatter())).to.deep.equal({ age: { $lt: 50 }, 'expertise.language': 'java', 'expertise.level': { $in: ['expert', 'guru'] } });
+    });
+
+    it('creates filter with elemMatch for has', () => {
+        let query = Query.from({ tags: { $has: 'red' }, expertise: { $has: { language: 'java' } } });
+        expect(query.toExpression(new MongoFormatter())).to.deep.equal({ tags: { $elemMatch: { $eq: 'red' } }, expertise: { $elemMatch: { language: 'java' } } });
+        query = Query.from({ scores: { $hasAll: [ { '<': 5 }, { '>=': 10 } ] } });
+        expect(query.toExpression(new MongoFormatter())).to.deep.equal({ $and: [ { scores: { $elemMatch: { $lt: 5 } } }, { scores: { $elemMatch: { $gte: 10 } } } ] });
+        expect(MongoFormatter.parse(query.toExpression(new MongoFormatter())).equals(query)).to.be.true;
+    });
+
+    it('creates filter with negation, string matching and null checks', () => {
+        let query = Query.from({ a: { '!=': 3 }, b: { $not: [1,5] }, c: { $prefix: 'a.b' }, d: { $null: true }, e: { $exists: false } });
+        expect(query.toExpression(new MongoFormatter())).to.deep.equal({ 
+            a: { $nin: [ 3, null ] }, 
+            b: { $not: { $gte: 1, $lt: 5 }, $ne: null }, 
+            c: { $regex: /^a\.b/ }, 
+            d: null, 
+            e: { $exists: false } 
+        });
+    });
+
+    it('includes unbound parameters in filter', () => {
+        let query = Query.from({ x: [$.min,], y: $.y });
+        expect(query.toExpression(new MongoFormatter())).to.deep.equal({ x: { $gte: $.min }, y: { $eq: $.y } });
+        let arrays = Query.from({ tag: { $in: $.tags }, skills: { $hasAll: $.skills } });
+        expect(arrays.toExpression(new MongoFormatter())).to.deep.equal({ tag: { $in: $.tags.array() }, skills: { $all: $.skills.array() } });
+        expect(MongoFormatter.parse(arrays.toExpression(new MongoFormatter())).equals(arrays)).to.be.true;
+    });
+
+    it('parses filter', () => {
+        let query = MongoFormatter.parse({ x: { $gte: 1, $lt: 5 }, 'y.z': 'abc', $or: [ { a: 1 }, { b: { $in: [ 2, 3 ] } } ] });
+        expect(query.equals(Query.from({ x: [1,5], y: { z: 'abc' } }).and(Query.from({ a: 1 }).or({ b: { $in: [2,3] } })))).to.be.true;
+        expect(MongoFormatter.parse({ x: { $gte: 5, $lt: 5 } }).union).to.have.length(0);
+        expect(MongoFormatter.parse({ x: { $gte: { $: 'min' } } }).equals(Query.from({ x: [$.min,] }))).to.be.true;
+        expect(() => MongoFormatter.parse({ x: { $size: 2 } })).to.throw(RangeError);
+    });
+
+    it('parses $in with null as matching missing and null values', () => {
+        let query = MongoFormatter.parse({ x: { $in: [ 1, null ] }, y: 2 });
+        expect(query.equals(Query.from({ x: 1, y: 2 }).or({ x: { $null: true }, y: 2 }))).to.be.true;
+        expect(query.containsItem({ y: 2 })).to.be.true;
+        expect(query.containsItem({ x: null, y: 2 })).to.be.true;
+        expect(query.containsItem({ x: 3, y: 2 })).to.be.false;
+        expect(MongoFormatter.parse({ x: { $in: [ null ] } }).equals(Query.from({ x: { $null: true } }))).to.be.true;
+        expect(MongoFormatter.parse({ x: { $in: [ 1, null ], $gt: 0 } }).equals(Query.from({ x: 1 }))).to.be.true;
+    });
+
+    it('parses filter with nor, regex and elemMatch', () => {
+        let query = MongoFormatter.parse({ $nor: [ { x: { $lt: 5 } } ], y: /^ab/, z: { $regex: 'c$', $options: 'i' }, t: { $elemMatch: { $gt: 2 } } });
+        expect(query.containsItem({ x: 7, y: 'abc', z: 'xC', t: [ 1, 3 ] })).to.be.true;
+        expect(query.containsItem({ x: 7, y: 'abc', z: 'xC', t: [ 1, 2 ] })).to.be.false;
+        expect(query.containsItem({ x: 7, y: 'bc', z: 'xC', t: [ 1, 3 ] })).to.be.false;
+        expect(query.union[0].y.operator).to.equal('prefix');
+        expect(MongoFormatter.parse({ $nor: [ { x: { $lt: 5 } } ] }).containsItem({})).to.be.true;
+        expect(MongoFormatter.parse({ $nor: [ { x: { $lt: 5 } } ] }).containsItem({ x: null })).to.be.true;
+    });
+
+    it('round trips between query and filter', () => {
+        let queries = [
+            Query.from({ x: [1,5], y: 'abc' }).or({ x: [7,], y: 'abc' }).or({ z: 2 }),
+            Query.from({ age: [,50], expertise: { language: 'java' } }),
+            Query.from({ tags: { $has: 'red' }, expertise: { $has: { language: 'java' } } }),
+            Query.from({ a: { '!=': 3 }, b: { $nin: [1,2] }, c: { $prefix: 'a.b' }, d: { $null: true }, e: { $exists: false }, f: { $null: false } }),
+            Query.from({ x: { $not: [1,5] } }),
+        ];
+        for (let query of queries) {
+            let filter = query.toExpression(new MongoFormatter());
+            debug(JSON.stringify(filter));
+            let parsed = MongoFormatter.parse(filter);
+            expect(parsed.equals(query), JSON.stringify(filter)).to.be.true;
+        }
+    });
+});
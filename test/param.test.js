@@ -1,4 +1,5 @@
 const { Param, $ } = require( '../src/param');
+const { ParameterError } = require( '../src/errors');
 const chai = require('chai');
 const debug = require('debug')('abstract-query~tests');
 const expect = chai.expect;
@@ -21,4 +22,71 @@ describe('Param', () => {
     it('can be constructed from JSON representation', () => {
     	expect(Param.from({$:'myparam'})).to.deep.equal($.myparam);
     });
+
+    it('can create typed parameters', () => {
+        let param = $.min_age.number().default(18);
+        expect(param).to.deep.equal(Param.from({ $: 'min_age', type: 'number', default: 18 }));
+        expect(param.equals($.min_age)).to.be.false;
+        expect(param.equals($.min_age.number().default(18))).to.be.true;
+        expect(JSON.stringify($.min_age.string().required())).to.equal('{"$":"min_age","type":"string","required":true}');
+        expect(Param.from(param.toJSON())).to.deep.equal(param);
+        let start = $.start.date().default(new Date(1000));
+        expect(Param.from(JSON.parse(JSON.stringify(start))).equals(start)).to.be.true;
+        expect(() => $.min_age.number().default('old')).to.throw(ParameterError);
+        expect(() => Param.from({ $: 'min_age', type: 'integer' })).to.throw(RangeError);
+    });
+
+    it('can create parameter expressions', () => {
+        expect($.a.add(5).toString()).to.equal('$a+5');
+        expect($.a.multiply(2).subtract(1).toString()).to.equal('$a*2-1');
+        expect($.a.add(1).multiply(3).toString()).to.equal('$a*3+3');
+        expect($.start.add(7, 'days').toString()).to.equal('$start+1week');
+        expect($.start.subtract(36, 'hours').toString()).to.equal('$start-36hours');
+        expect($.a.add(5).subtract(5)).to.deep.equal($.a);
+        expect($.a.add(5).equals($.a.add(5))).to.be.true;
+        expect($.a.add(5).equals($.a)).to.be.false;
+        expect($.a.equals($.a.add(5))).to.be.false;
+        expect(Param.difference($.a.add(5), $.a.add(2))).to.equal(3);
+        expect(Param.difference($.a.add(5), $.a)).to.equal(5);
+        expect(Param.difference($.a.multiply(2), $.a)).to.be.undefined;
+        expect(Param.difference($.a.add(5), $.b)).to.be.undefined;
+        expect(JSON.stringify($.a.number().multiply(2).add(1))).to.equal('{"$":"a","type":"number","scale":2,"offset":1}');
+        expect(Param.from($.start.add(1, 'days').toJSON())).to.deep.equal($.start.add(1, 'days'));
+        expect(() => $.a.add(1, 'fortnights')).to.throw(RangeError);
+        expect(() => $.a.string().add(1)).to.throw(RangeError);
+        expect(() => $.a.add(1, 'days').multiply(2)).to.throw(RangeError);
+        expect(() => $.a.add(1).add(1, 'days')).to.throw(RangeError);
+        expect(() => $.start.add(1.5, 'milliseconds')).to.throw(RangeError);
+        expect(() => $.a.add(NaN)).to.throw(TypeError);
+        expect(() => $.a.multiply(Infinity)).to.throw(TypeError);
+        expect($.start.add(0.5, 'seconds').toString()).to.equal('$start+500milliseconds');
+    });
+
+    it('evaluates parameter expressions', () => {
+        expect($.a.multiply(2).add(1).valueFrom({ a: 5 })).to.equal(11);
+        expect($.a.number().default(3).add(1).valueFrom({})).to.equal(4);
+        expect($.a.add(1).valueFrom({})).to.be.undefined;
+        expect($.start.add(2, 'days').valueFrom({ start: new Date('2024-01-01T00:00:00Z') })).to.deep.equal(new Date('2024-01-03T00:00:00Z'));
+        expect(() => $.a.add(1).valueFrom({ a: '1' })).to.throw(ParameterError, 'Parameter $a must be a number (got string)');
+        expect(() => $.start.add(1, 'days').valueFrom({ start: 1 })).to.throw(ParameterError, 'Parameter $start must be a date (got number)');
+    });
+
+    it('checks values for typed parameters', () => {
+        expect($.p.number().accepts(3)).to.be.true;
+        expect($.p.number().accepts('3')).to.be.false;
+        expect($.p.date().accepts(new Date())).to.be.true;
+        expect($.p.boolean().accepts($.q)).to.be.true;
+        expect($.p.boolean().accepts($.q.string())).to.be.false;
+        expect($.p.accepts('anything')).to.be.true;
+        expect($.p.number().default(18).valueFrom({})).to.equal(18);
+        expect($.p.number().default(18).valueFrom({ p: 21 })).to.equal(21);
+        expect($.p.valueFrom({})).to.be.undefined;
+        expect(() => $.p.number().valueFrom({ p: '21' })).to.throw(ParameterError, 'Parameter $p must be a number (got string)');
+        expect(() => $.p.required().valueFrom({ q: 1 })).to.throw(ParameterError, 'Parameter $p is required');
+        expect($.p.array().valueFrom({ p: [ 1, 2 ] })).to.deep.equal([ 1, 2 ]);
+        expect(() => $.p.array().valueFrom({ p: 1 })).to.throw(ParameterError, 'Parameter $p must be an array (got number)');
+        expect(() => $.p.number().valueFrom({ p: NaN })).to.throw(ParameterError, 'Parameter $p must be a number (got NaN)');
+        expect(() => $.p.date().valueFrom({ p: new Date('never') })).to.throw(ParameterError, 'Parameter $p must be a date (got invalid date)');
+        expect(() => $.p.date().default(new Date('never'))).to.throw(ParameterError);
+    });
 });
\ No newline at end of file
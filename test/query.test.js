@@ -1,4 +1,4 @@
-const { Query, Range, $ } = require( '../src');
+const { Query, Range, QueryComplexityError, ParameterError, $ } = require( '../src');
 const chai = require('chai');
 const debug = require('debug')('abstract-query~tests');
 const expect = chai.expect;
@@ -120,6 +120,98 @@ describe('Query', () => {
         expect(expression).to.equal('x<2 and y.nuts has($self=$param2) and y.nuts has($self=$param1) and y.alpha>=2 and y.alpha<6');
     });
 
+    it('creates expression with in', () => {
+        let query = Query.from({ x: { $in: ['a','b'] }, y: 2 });
+        expect(query.toExpression()).to.equal('x in("a","b") and y=2');
+        expect(query.containsItem({ x: 'b', y: 2 })).to.be.true;
+        expect(query.containsItem({ x: 'c', y: 2 })).to.be.false;
+        expect(query.contains(Query.from({ x: 'a', y: 2 }))).to.be.true;
+    });
+
+    it('creates expression with not equals', () => {
+        let query = Query.from({ x: [1,10], y: { '!=': 'a' } }).and({ x: { '!=': 5 }, z: { $nin: [1,2] } });
+        expect(query.toExpression()).to.equal('x>=1 and x<10 and x!=5 and y!="a" and z nin(1,2)');
+        expect(query.containsItem({ x: 4, y: 'b', z: 3 })).to.be.true;
+        expect(query.containsItem({ x: 5, y: 'b', z: 3 })).to.be.false;
+        expect(query.containsItem({ x: 4, y: 'b', z: 2 })).to.be.false;
+    });
+
+    it('creates expression with prefix', () => {
+        let query = Query.from({ name: { $prefix: 'Ess' } });
+        expect(query.toExpression()).to.equal('name prefix("Ess")');
+        expect([{ name: 'Essex' }, { name: 'Sussex' }].filter(query.predicate)).to.deep.equal([{ name: 'Essex' }]);
+    });
+
+    it('creates expression with regex and like', () => {
+        let query = Query.from({ name: { $like: 'Ess%' } }).or({ name: /^Sus/ });
+        expect(query.toExpression()).to.equal('(name like("Ess%") or name regex(/^Sus/))');
+        expect([{ name: 'Essex' }, { name: 'Sussex' }, { name: 'Kent' }].filter(query.predicate)).to.deep.equal([{ name: 'Essex' }, { name: 'Sussex' }]);
+    });
+
+    it('creates expression with exists and null', () => {
+        let query = Query.from({ x: { $exists: true }, y: { $null: true } }).or({ x: { $exists: false }, y: { $null: false } });
+        expect(query.toExpression()).to.equal('(x exists and y is null or x not exists and y is not null)');
+        expect(JSON.parse(JSON.stringify(Query.from({ x: { $exists: false } })))).to.deep.equal({ version: 1, union: [ { x: { $exists: false } } ] });
+    });
+
+    it('filters items with missing, null and falsy values', () => {
+        let data = [ { x: 0 }, { x: '' }, { x: false }, { x: null }, {} ];
+        expect([ { x: 0 }, { x: 1 }, {} ].filter(Query.from({ x: 0 }).predicate)).to.deep.equal([ { x: 0 } ]);
+        expect([ { x: '' }, { x: 'a' }, {} ].filter(Query.from({ x: '' }).predicate)).to.deep.equal([ { x: '' } ]);
+        expect([ { x: false }, { x: true }, {} ].filter(Query.from({ x: false }).predicate)).to.deep.equal([ { x: false } ]);
+        expect(data.filter(Query.from({ x: { $exists: true } }).predicate)).to.deep.equal([ { x: 0 }, { x: '' }, { x: false }, { x: null } ]);
+        expect(data.filter(Query.from({ x: { $exists: false } }).predicate)).to.deep.equal([ {} ]);
+        expect(data.filter(Query.from({ x: { $null: true } }).predicate)).to.deep.equal([ { x: null }, {} ]);
+        expect(data.filter(Query.from({ x: { $null: false } }).predicate)).to.deep.equal([ { x: 0 }, { x: '' }, { x: false } ]);
+        expect([ { x: 0 }, { x: 1 }, { x: null }, {} ].filter(Query.from({ x: { '!=': 0 } }).predicate)).to.deep.equal([ { x: 1 } ]);
+    });
+
+    it('parses expressions', () => {
+        let query = Query.parse('grade<"C" and (course="javascript 101" or student.age>=$min_age)');
+        expect(query.equals(Query.from({ grade: [,'C'] }).and(Query.from({ course: 'javascript 101' }).or({ student: { age: [$.min_age,] } })))).to.be.true;
+        expect(Query.parse('x=1 or y=2 and z=3').equals(Query.from({ x: 1 }).or({ y: 2, z: 3 }))).to.be.true;
+        expect(Query.parse('').equals(Query.from({}))).to.be.true;
+        expect(Query.parse('name="say \\"hi\\""').equals(Query.from({ name: 'say "hi"' }))).to.be.true;
+        expect(Query.parse('tags has($self>=1 and $self<5)').equals(Query.from({ tags: { $has: Range.from([1,5]) } }))).to.be.true;
+        expect(() => Query.parse('x=')).to.throw(SyntaxError);
+        expect(() => Query.parse('x=1 and')).to.throw(SyntaxError);
+        expect(() => Query.parse('(x=1')).to.throw(SyntaxError);
+        expect(() => Query.parse('x=1 y=2')).to.throw(SyntaxError);
+        expect(() => Query.parse('x=date("soon")')).to.throw(SyntaxError);
+        expect(() => Query.parse('x=$a[number')).to.throw(SyntaxError);
+        expect(() => Query.parse('x match(y=1)')).to.throw(SyntaxError);
+        expect(Query.parse('x>=$a[date,default=date("2024-01-01T00:00:00Z")]+1day').equals(Query.from({ x: [ $.a.date().default(new Date('2024-01-01T00:00:00Z')).add(1, 'days'), ] }))).to.be.true;
+    });
+
+    it('parses expressions created by toExpression', () => {
+        let queries = [
+            Query.from({ course: 'javascript 101', student: { age : [21,] }, grade: [,'C'] })
+                .or({ course: 'medieval French poetry', student: { age: [40,65] }, grade: [,'C'] }),
+            Query.from({ x: [$.param1, 2], y: $.param2, z: { '>': -1.5 }, w: { '<=': 7 } }),
+            Query.from({ x: { '!=': 'a' }, y: { $in: [1,2] }, z: { $nin: [true,false] } }),
+            Query.from({ x: { $not: [1,5] }, name: { $prefix: 'Ess' } }).or({ name: { $like: 'a%' } }).or({ name: /^Sus/i }),
+            Query.from({ x: { $exists: true }, y: { $null: true } }).or({ x: { $exists: false }, y: { $null: false } }),
+            Query.from({ tags: { $hasAll: [ 'red', 'blue' ] }, expertise: { $has: { language: 'java', level: [3,] } } }),
+            Query.from({ age: [,50], expertise: { language: 'java', details: { years: [5,] } } }),
+            Query.from({ d: new Date('2024-01-01T00:00:00Z'), e: { $in: [ new Date(0), new Date(1000) ] } }),
+            Query.from({ x: [-Infinity, 5], y: { '>': -Infinity }, z: { '<=': Infinity } }),
+            Query.from({ x: $.a.number(), y: [ $.start.date().required().add(1, 'days'), ], z: $.b.string().default('b]') }),
+            Query.from({ t: Range.lessThan($.end.date().default(new Date(1000)).subtract(2, 'hours')), tag: { $in: $.tags.required() } }),
+            Query.from({ x: Range.subquery(Query.from({ y: 1 }).or({ z: 2 })), w: 3 }),
+            Query.from({ a: { b: Range.subquery(Query.from({ y: 1, z: 1 }).or({ y: 2 })) } }).or({ a: { c: 1 } }),
+            Query.from({ x: { y: 1 } }).or({ x: { z: 2 } }),
+            Query.from({ x: Range.not(Range.and([ Range.exists(), Range.isNull() ])) }),
+            Query.from({ x: { y: Range.not(Range.and([ Range.exists(), Range.isNull() ])) }, w: 1 })
+        ];
+        for (let query of queries) {
+            let expression = query.toExpression();
+            debug(expression);
+            expect(Query.parse(expression).equals(query), expression).to.be.true;
+        }
+        expect(Query.from({ x: $.a.number().default(2).multiply(3) }).toExpression()).to.equal('x=$a[number,default=2]*3');
+        expect(Query.from({ x: Range.subquery(Query.from({ y: 1 }).or({ z: 2 })) }).toExpression()).to.equal('x match((x.y=1 or x.z=2))');
+    });
+
     it('creates expression with paramters', () => {
         let query = Query
             .from({x: [$.param1,2], y: $.param2});
@@ -186,6 +278,79 @@ describe('Query', () => {
         expect(query2.contains(query3)).to.be.null;
     });
 
+    it('can negate a query', () => {
+        let query1 = Query.from({ x: [,5], y: 2 });
+        expect(query1.not().equals(Query.from({ x: [5,] }).or({ x: { $null: true } }).or({ y: { $not: 2 } }).or({ y: { $null: true } }))).to.be.true;
+        expect(query1.not().not().equals(query1)).to.be.true;
+        expect(query1.not().toExpression()).to.equal('(x>=5 or x is null or y!=2 or y is null)');
+
+        let query2 = Query.from({ x: [1,5] }).or({ x: [7,9] });
+        let query3 = query2.not();
+        expect(query3.union).to.have.length(2);
+        expect(query3.containsItem({ x: 6 })).to.be.true;
+        expect(query3.containsItem({ x: 8 })).to.be.false;
+        expect(query3.contains(Query.from({ x: [5,7] }))).to.be.true;
+        expect(query3.contains(Query.from({ x: [4,7] }))).to.be.false;
+        expect(query3.and({ x: [3,6] }).equals(Query.from({ x: [5,6] }))).to.be.true;
+    });
+
+    it('includes items with missing or null values in the negation of a query', () => {
+        let query = Query.from({ x: [,5] });
+        expect(query.not().containsItem({})).to.be.true;
+        expect(query.not().containsItem({ x: null })).to.be.true;
+        expect(query.not().containsItem({ x: 3 })).to.be.false;
+        expect(query.or(query.not()).isUniversal()).to.be.true;
+        expect(Query.from({ x: { $not: [1,5] } }).containsItem({})).to.be.false;
+        expect(Query.parse('not(x>=1 and x<5)').equals(Query.from({ x: { $not: [1,5] } }))).to.be.true;
+        expect(Query.parse('not(x=1 and y=2)').containsItem({ y: 2 })).to.be.true;
+    });
+
+    it('can negate a query with parameters', () => {
+        let query = Query.from({ x: [$.param1, $.param2] }).not();
+        expect(query.toExpression()).to.equal('(not(x>=$param1 and x<$param2) or x is null)');
+        expect(query.bind({ param1: 1, param2: 5 }).equals(Query.from({ x: { $not: [1,5] } }).or({ x: { $null: true } }))).to.be.true;
+    });
+
+    it('can subtract one query from another', () => {
+        expect(Query.from({ x: [1,10] }).minus({ x: [3,5] }).equals(Query.from({ x: [1,3] }).or({ x: [5,10] }))).to.be.true;
+        expect(Query.from({ x: [1,10] }).minus(Query.from({ x: [3,5] }).or({ x: [8,12] })).equals(Query.from({ x: [1,3] }).or({ x: [5,8] }))).to.be.true;
+        expect(Query.from({ x: [1,10], y: [1,10] }).minus({ x: [3,5], y: [20,30] }).equals(Query.from({ x: [1,10], y: [1,10] }))).to.be.true;
+        expect(Query.from({ x: [1,10] }).minus({ x: [-1,15] })).to.be.null;
+        expect(Query.from({ x: 5, y: 'a' }).minus({ x: 5 })).to.be.null;
+        expect(Query.from({ y: 1 }).minus({ y: 1, x: [1,5] }).containsItem({ y: 1 })).to.be.true;
+        expect(Query.from({ y: 1 }).minus({ y: 1, x: [1,5] }).containsItem({ y: 1, x: null })).to.be.true;
+        expect(Query.from({ y: 1 }).minus({ y: 1, x: [1,5] }).containsItem({ y: 1, x: 2 })).to.be.false;
+        expect(Query.from({ x: { $exists: true } }).minus({ x: [1,5] }).containsItem({ x: null })).to.be.true;
+
+        let query1 = Query.from({ x: [1,10], y: [1,10] });
+        let query2 = Query.from({ x: [3,5], y: [2,4] });
+        let difference = query1.minus(query2);
+        expect(difference.union).to.have.length(4);
+        expect(difference.containsItem({ x: 4, y: 3 })).to.be.false;
+        expect(difference.containsItem({ x: 4, y: 5 })).to.be.true;
+        expect(difference.and(query2)).to.satisfy(query => query.union.length === 0);
+    });
+
+    it('can subtract queries with parameters', () => {
+        let difference = Query.from({ x: [1,10] }).minus({ x: [$.param1, 5] });
+        expect(difference.contains(Query.from({ x: [5,10] }))).to.be.true;
+        expect(difference.bind({ param1: 3 }).equals(Query.from({ x: [1,3] }).or({ x: [5,10] }))).to.be.true;
+    });
+
+    it('distributes and over or', () => {
+        let query = Query.from({ x: 1 }).or({ x: 2 }).and(Query.from({ y: 1 }).or({ y: 2 }));
+        expect(query.union).to.have.length(4);
+        expect(query.containsItem({ x: 2, y: 1 })).to.be.true;
+        expect(query.containsItem({ x: 3, y: 1 })).to.be.false;
+    });
+
+    it('intersects each cube of a query with the other query', () => {
+        let query = Query.from({ x: 1 }).or({ x: 2 }).and(Query.from({ y: 3 }));
+        expect(query.equals(Query.from({ x: 1, y: 3 }).or({ x: 2, y: 3 }))).to.be.true;
+        expect(query.containsItem({ x: 2, y: 3 })).to.be.true;
+        expect(Query.from({ y: 3 }).and(Query.from({ x: 1 }).or({ x: 2 })).equals(query)).to.be.true;
+    });
+
     it('factorizes', () => {
     	let query = Query
     		.from({x: 2, y : [3,4], z : 8})
@@ -208,7 +373,381 @@ describe('Query', () => {
     		.or({x:2, y: [,4], z: 7})
     		.or({x:3, y: [3,], z: $.param1});
     	let json = JSON.stringify(query);
-    	expect(json).to.equal('{"union":[{"x":2,"y":[3,4],"z":8},{"x":2,"y":[null,4],"z":7},{"x":3,"y":[3,null],"z":{"$":"param1"}}]}');
+    	expect(json).to.equal('{"version":1,"union":[{"x":2,"y":[3,4],"z":8},{"x":2,"y":[null,4],"z":7},{"x":3,"y":[3,null],"z":{"$":"param1"}}]}');
+    });
+
+    it('optimize merges adjacent and overlapping cubes', ()=>{
+        let query1 = Query.from({ x: [1,3] }).or({ x: [3,5] });
+        query1 = query1.optimize();
+        expect(query1.union).to.have.length(1);
+        expect(query1.equals(Query.from({ x: [1,5] }))).to.be.true;
+        let query2 = Query.from({ x: [1,2], y: 'a' }).or({ x: [3,4], y: 'a' }).or({ x: [2,3], y: 'a' }).or({ x: [2,5], y: 'b' });
+        query2 = query2.optimize();
+        expect(query2.equals(Query.from({ x: [1,4], y: 'a' }).or({ x: [2,5], y: 'b' }))).to.be.true;
+        let query3 = Query.from({ x: 1, y: 2 }).or({ x: 2, y: 2 }).or({ x: 1, y: 3 });
+        query3 = query3.optimize();
+        expect(query3.union).to.have.length(2);
+        expect(query3.toExpression()).to.equal('(x in(1,2) and y=2 or x=1 and y=3)');
+        let query4 = Query.from({ x: [1,3], y: [1,3] }).or({ x: [3,5], y: [3,5] });
+        query4 = query4.optimize();
+        expect(query4.union).to.have.length(2);
+    });
+
+    it('optimize merges a cube into a range touching its inclusive bound', ()=>{
+        let query = Query.from({ x: [1,5] }).or({ x: 5 }).optimize();
+        expect(query.union).to.have.length(1);
+        expect(query.toExpression()).to.equal('x>=1 and x<=5');
+    });
+
+    it('optimize returns a new query and reports changes', ()=>{
+        let query = new Query([ ...Query.from({ x: [1,3] }).union, ...Query.from({ x: [1,3] }).union, ...Query.from({ x: [2,3], y: 4 }).union, ...Query.from({ x: [5,1] }).union ]);
+        let report;
+        let optimized = query.optimize(result => report = result);
+        expect(query.union).to.have.length(4);
+        expect(optimized.equals(Query.from({ x: [1,3] }))).to.be.true;
+        expect(report).to.deep.equal({ cubes_before: 4, cubes_after: 1, empty: 1, subsumed: 2, merged: 0, absorbed: 0 });
+        expect(Query.from({ x: 1 }).optimize().equals(Query.from({ x: 1 }))).to.be.true;
+        expect(new Query().optimize().union).to.have.length(0);
+        let ranges = new Query(Array.from({ length: 50 }, (_, i) => Query.from({ x: [(i * 7) % 50, (i * 7) % 50 + 1] }).union[0]));
+        let merged = ranges.optimize(result => report = result);
+        expect(merged.equals(Query.from({ x: [0,50] }))).to.be.true;
+        expect(report).to.deep.equal({ cubes_before: 50, cubes_after: 1, empty: 0, subsumed: 0, merged: 49, absorbed: 0 });
+    });
+
+    it('optimize removes absorbed constraints', ()=>{
+        let report;
+        let query = Query.from({ x: { $exists: false } }).or({ x: { $exists: true }, y: 2 }).optimize(result => report = result);
+        expect(query.equals(Query.from({ x: { $exists: false } }).or({ y: 2 }))).to.be.true;
+        expect(report.absorbed).to.equal(1);
+        let query2 = Query.from({ x: 1, y: 2 }).or({ x: { $not: 1 }, y: 2 }).optimize();
+        expect(query2.equals(Query.from({ x: { $null: false }, y: 2 }))).to.be.true;
+        let query3 = Query.from({ x: { $null: true } }).or({ x: { $null: false }, y: 2, z: 3 }).or({ y: 2 }).optimize();
+        expect(query3.equals(Query.from({ x: { $null: true } }).or({ y: 2 }))).to.be.true;
+    });
+
+    it('keeps the intersection of unions in conjunctive form', ()=>{
+        let queries = [1,2,3].map(i => Query.from({ ['x' + i]: 1 }).or({ ['y' + i]: 1 }));
+        let query = queries.reduce((result, query) => result.and(query));
+        expect(query.clauses).to.have.length(3);
+        expect(query.toExpression()).to.equal('(x1=1 or y1=1) and (x2=1 or y2=1) and (x3=1 or y3=1)');
+        expect(query.and({ z: 1 }).and({ w: 2 }).clauses).to.have.length(4);
+        expect(query.containsItem({ x1: 1, y2: 1, x3: 1 })).to.be.true;
+        expect(query.containsItem({ x1: 1, y2: 1 })).to.be.false;
+        expect(query.union).to.have.length(8);
+        let expanded = Query.from({ x1: 1, x2: 1 }).or({ x1: 1, y2: 1 }).or({ y1: 1, x2: 1 }).or({ y1: 1, y2: 1 });
+        expect(queries[0].and(queries[1]).equals(expanded)).to.be.true;
+        expect(expanded.equals(queries[0].and(queries[1]))).to.be.true;
+        expect(queries[0].and(queries[1]).contains(Query.from({ x1: 1, y2: 1, z: 3 }))).to.be.true;
+        expect(queries[0].and(Query.from({ x1: 2 }).or({ z: 1 })).and({ x1: 1 }).union).to.have.length(1);
+        let parametrized = queries[0].and(Query.from({ x2: $.p }).or({ y2: 1 }));
+        expect(parametrized.bind({ p: 1 }).equals(queries[0].and(queries[1]))).to.be.true;
+        let contradiction = Query.parse('(x=1 or x=2) and (x=3 or x=4)');
+        expect(contradiction.isEmpty()).to.be.true;
+        expect(contradiction.bind({})).to.be.null;
+        expect(Query.from({ x: $.a }).or({ x: 2 }).and(Query.from({ x: 3 }).or({ x: 4 })).bind({ a: 1 })).to.be.null;
+        Query.withLimits({ max_cubes: 4 }, () => {
+            let large = queries.reduce((result, query) => result.and(query));
+            expect(large.bind({}).clauses).to.have.length(3);
+        });
+    });
+
+    it('can tell if a query is empty', ()=>{
+        expect(new Query().isEmpty()).to.be.true;
+        expect(Query.from({ x: 1 }).isEmpty()).to.be.false;
+        expect(Query.from({ x: [$.low, 5] }).and({ x: [6,10] }).isEmpty()).to.be.true;
+        expect(Query.from({ x: [$.low, $.high] }).isEmpty()).to.be.null;
+        expect(Query.from({ x: $.a }).and({ x: $.b }).isEmpty()).to.be.null;
+        expect(Query.from({ x: Range.greaterThan($.a) }).and({ x: Range.greaterThan($.b) }).isEmpty()).to.be.false;
+        expect(Query.from({ x: { $has: { y: $.a } } }).and({ x: { $has: { y: $.b } } }).isEmpty()).to.be.false;
+        expect(Query.from({ x: { y: [$.a, 2] } }).and({ x: { y: [3,4] } }).isEmpty()).to.be.true;
+        expect(Query.from({ x: $.a }).and({ x: $.b }).or({ y: 1 }).isEmpty()).to.be.false;
+    });
+
+    it('can tell if a query is universal', ()=>{
+        expect(Query.from({}).isUniversal()).to.be.true;
+        expect(new Query().isUniversal()).to.be.false;
+        expect(Query.from({ x: 1 }).isUniversal()).to.be.false;
+        expect(Query.from({ x: 1 }).or({ x: { $not: 1 } }).isUniversal()).to.be.false;
+        expect(Query.from({ x: 1 }).or({ x: { $not: 1 } }).or({ x: { $null: true } }).isUniversal()).to.be.true;
+        expect(Query.from({ x: { $exists: false } }).or({ x: { $exists: true } }).isUniversal()).to.be.true;
+        expect(Query.from({ x: [,$.p] }).or({ x: [$.p,] }).or({ x: { $null: true } }).isUniversal()).to.be.true;
+        expect(Query.from({ x: [,$.p] }).or({ x: [$.q,] }).or({ x: { $null: true } }).isUniversal()).to.be.null;
+    });
+
+    it('uses parameter expressions', ()=>{
+        let query = Query.from({ x: [$.a, $.a.add(5)] });
+        expect(query.contains(Query.from({ x: [$.a.add(1), $.a.add(2)] }))).to.be.true;
+        expect(query.contains(Query.from({ x: [$.a.add(1), $.a.add(6)] }))).to.be.false;
+        expect(query.contains(Query.from({ x: [$.a.add(1), $.b] }))).to.be.null;
+        expect(query.and({ x: [$.a.add(1),] }).equals(Query.from({ x: [$.a.add(1), $.a.add(5)] }))).to.be.true;
+        expect(query.and({ x: [$.a.add(5),] }).isEmpty()).to.be.true;
+        expect(query.toExpression()).to.equal('x>=$a and x<$a+5');
+        expect(Query.parse('x>=$a*2-1 and x<$a*2+5 and y<$start+1day').equals(Query.from({ x: [$.a.multiply(2).subtract(1), $.a.multiply(2).add(5)], y: Range.lessThan($.start.add(1, 'days')) }))).to.be.true;
+        expect(query.bind({ a: 10 }).equals(Query.from({ x: [10, 15] }))).to.be.true;
+        expect(Query.fromJSON(JSON.parse(JSON.stringify(query))).equals(query)).to.be.true;
+        for (let expression of [ $.a.add(1e-7), $.a.multiply(1e-7).subtract(2e21), $.start.add(0.5, 'seconds') ]) {
+            let bounded = Query.from({ x: Range.lessThan(expression) });
+            expect(Query.parse(bounded.toExpression()).equals(bounded), bounded.toExpression()).to.be.true;
+        }
+        let week = Query.from({ date: [$.start, $.start.add(7, 'days')] });
+        expect(week.bind({ start: new Date('2024-01-01T00:00:00Z') }).containsItem({ date: new Date('2024-01-07T00:00:00Z') })).to.be.true;
+        expect(Query.from({ x: Range.lessThan($.a.add(5)) }).parameters()).to.deep.equal([ { name: 'a', param: $.a, dimensions: [ 'x' ], operators: [ '<' ] } ]);
+    });
+
+    it('lists the parameters used in a query', ()=>{
+        let query = Query
+            .from({ 
+                age: [$.min_age.number(), $.max_age], 
+                name: { $not: $.name }, 
+                grade: { $in: [$.grade, 'A'] },
+                expertise: { $has: { language: $.language, level: [$.min_age,] } },
+                tags: { $has: $.tag }
+            })
+            .or({ x: [$.a, 5] })
+            .and({ x: [$.b,] });
+        expect(query.parameters()).to.deep.equal([
+            { name: 'min_age', param: $.min_age.number(), dimensions: [ 'age', 'expertise.level' ], operators: [ '>=' ] },
+            { name: 'max_age', param: $.max_age, dimensions: [ 'age' ], operators: [ '<' ] },
+            { name: 'name', param: $.name, dimensions: [ 'name' ], operators: [ '!=' ] },
+            { name: 'grade', param: $.grade, dimensions: [ 'grade' ], operators: [ 'in' ] },
+            { name: 'language', param: $.language, dimensions: [ 'expertise.language' ], operators: [ '=' ] },
+            { name: 'tag', param: $.tag, dimensions: [ 'tags' ], operators: [ '=' ] },
+            { name: 'b', param: $.b, dimensions: [ 'x' ], operators: [ '>=' ] },
+            { name: 'a', param: $.a, dimensions: [ 'x' ], operators: [ '>=' ] }
+        ]);
+        expect(Query.from({ x: 1 }).parameters()).to.deep.equal([]);
+        expect(Query.from({ x: $.a, y: $.a.number() }).parameters()).to.deep.equal([ { name: 'a', param: $.a.number(), dimensions: [ 'x', 'y' ], operators: [ '=' ] } ]);
+        expect(() => Query.from({ x: $.a.number(), y: $.a.string() }).parameters()).to.throw(ParameterError, 'Parameter $a is used as both number and string');
+        expect(() => Query.from({ x: $.a.number() }).or({ x: $.a.date().add(1, 'days') }).parameters()).to.throw(ParameterError);
+    });
+
+    it('reports parameters left unbound', ()=>{
+        let query = Query.from({ age: [$.min_age, $.max_age], grade: $.grade.default('A') }).or({ name: $.name });
+        let { query: bound, unbound, unused } = query.bindPartial({ min_age: 18, course: 'javascript' });
+        expect(bound.equals(Query.from({ age: [18, $.max_age], grade: 'A' }).or({ name: $.name }))).to.be.true;
+        expect(unbound).to.deep.equal([ 'max_age', 'name' ]);
+        expect(unused).to.deep.equal([ 'course' ]);
+        expect(Query.from({ x: [$.low, 5] }).bindPartial({ low: 6 })).to.deep.equal({ query: null, unbound: [], unused: [] });
+        let required = Query.from({ age: [$.min_age.number().required(), 65], name: $.name.string().required() });
+        ({ query: bound, unbound, unused } = required.bindPartial({ name: 'ada' }));
+        expect(bound.equals(Query.from({ age: [$.min_age.number().required(), 65], name: 'ada' }))).to.be.true;
+        expect(unbound).to.deep.equal([ 'min_age' ]);
+        expect(unused).to.deep.equal([]);
+        expect(() => required.bind({ name: 'ada' })).to.throw(ParameterError, 'Parameter $min_age is required');
+        expect(() => required.bind({ name: 'ada' }, { strict: true })).to.throw(ParameterError, 'No value for parameter $min_age');
+        expect(() => required.bindPartial({ name: 1 })).to.throw(ParameterError);
+    });
+
+    it('can bind parameters strictly', ()=>{
+        let query = Query.from({ age: [$.min_age, $.max_age], grade: $.grade.default('A') });
+        expect(query.bind({ min_age: 18, max_age: 21 }, { strict: true }).equals(Query.from({ age: [18, 21], grade: 'A' }))).to.be.true;
+        expect(() => query.bind({ min_age: 18 }, { strict: true })).to.throw(ParameterError, 'No value for parameter $max_age');
+        expect(() => query.bind({ min_age: 18, max_age: 21, course: 'javascript' }, { strict: true })).to.throw(ParameterError, 'Unknown parameter $course');
+        expect(query.bind({ min_age: 18, course: 'javascript' }).equals(Query.from({ age: [18, $.max_age], grade: 'A' }))).to.be.true;
+        expect(query.bind({ min_age: 21, max_age: 18 }, { strict: true })).to.be.null;
+    });
+
+    it('validates typed parameters when binding', ()=>{
+        let query = Query.from({ age: [$.min_age.number().default(18), 65], name: $.name.string().required() });
+        expect(query.bind({ name: 'ada' }).equals(Query.from({ age: [18, 65], name: 'ada' }))).to.be.true;
+        expect(query.bind({ name: 'ada', min_age: 21 }).equals(Query.from({ age: [21, 65], name: 'ada' }))).to.be.true;
+        expect(() => query.bind({ min_age: 21 })).to.throw(ParameterError, 'Parameter $name is required');
+        let error;
+        try {
+            query.bind({ name: 'ada', min_age: '21' });
+        } catch (err) {
+            error = err;
+        }
+        expect(error).to.include({ name: 'ParameterError', parameter: 'min_age' });
+        let json = query.toJSON();
+        expect(Query.fromJSON(json).union[0].name.value).to.deep.equal($.name.string().required());
+    });
+
+    it('uses parameter types to compare parametrized values', ()=>{
+        expect(Query.from({ x: $.x.number() }).contains(Query.from({ x: 'abc' }))).to.be.false;
+        expect(Query.from({ x: $.x }).contains(Query.from({ x: 'abc' }))).to.be.null;
+        expect(Query.from({ x: $.x.number() }).and({ x: 'abc' }).isEmpty()).to.be.true;
+        expect(Query.from({ x: $.x.number() }).and({ x: 3 }).isEmpty()).to.be.null;
+        expect(Query.from({ x: $.x.number() }).and({ x: $.y.string() }).isEmpty()).to.be.true;
+        expect(Query.from({ x: $.x.number() }).and({ x: $.x.string() }).isEmpty()).to.be.true;
+        let untyped = Query.from({ x: $.x }).and({ x: $.x.number() });
+        expect(untyped.isEmpty()).to.be.null;
+        expect(untyped.equals(Query.from({ x: $.x }))).to.be.false;
+        expect(() => untyped.bind({ x: 'abc' })).to.throw(ParameterError);
+    });
+
+    it('revives date defaults of parameters from JSON', ()=>{
+        let query = Query.from({ t: Range.greaterThanOrEqual($.start.date().default(new Date(1000))) });
+        let copy = Query.fromJSON(JSON.parse(JSON.stringify(query)));
+        expect(copy.equals(query)).to.be.true;
+        expect(copy.bind({}).union[0].t.value).to.deep.equal(new Date(1000));
+    });
+
+    it('binds array parameters for in and hasAll', ()=>{
+        let query = Query.from({ tag: { $in: $.tags }, skills: { $hasAll: $.skills } });
+        expect(query.toExpression()).to.equal('tag in($tags) and skills hasAll($skills)');
+        expect(Query.parse(query.toExpression()).equals(query)).to.be.true;
+        expect(Query.fromJSON(JSON.parse(JSON.stringify(query))).equals(query)).to.be.true;
+        expect(query.parameters().map(({ name, operators }) => [ name, operators ])).to.deep.equal([ [ 'tags', [ 'in' ] ], [ 'skills', [ 'hasAll' ] ] ]);
+        expect(query.containsItem({ tag: 'a', skills: [ 'x' ] })).to.be.null;
+        expect(query.isEmpty()).to.be.null;
+        let bound = query.bind({ tags: [ 'a', 'b' ], skills: [ 'x', 'y' ] });
+        expect(bound.equals(Query.from({ tag: { $in: [ 'a', 'b' ] }, skills: { $hasAll: [ 'x', 'y' ] } }))).to.be.true;
+        expect(bound.containsItem({ tag: 'b', skills: [ 'y', 'z', 'x' ] })).to.be.true;
+        expect(bound.containsItem({ tag: 'b', skills: [ 'y', 'z' ] })).to.be.false;
+        expect(query.bind({ tags: [ 'a' ], skills: [ 'x' ] }).toExpression()).to.equal('tag="a" and skills has($self="x")');
+        expect(query.bind({ tags: [], skills: [ 'x' ] })).to.be.null;
+        expect(query.bind({ tags: [ 'a' ], skills: [] })).to.be.null;
+        expect(() => query.bind({ tags: 'a' })).to.throw(ParameterError, 'Parameter $tags must be an array (got string)');
+        expect(() => Query.from({ tag: { $in: $.tags.number() } })).to.throw(RangeError);
+        let element = Query.from({ skills: { $has: $.skill.array() } });
+        expect(element.toExpression()).to.equal('skills has($self=$skill)');
+        expect(element.bind({ skill: [ 'x', 'y' ] }).containsItem({ skills: [ 'x', 'y' ] })).to.be.false;
+        expect(element.bind({ skill: [ 'x', 'y' ] }).containsItem({ skills: [ [ 'x', 'y' ] ] })).to.be.true;
+    });
+
+    it('combines array parameters with other constraints', ()=>{
+        let query = Query.from({ tag: { $in: $.tags } }).and({ tag: { $prefix: 'a' } });
+        expect(query.toExpression()).to.equal('tag in($tags) and tag prefix("a")');
+        expect(query.bind({ tags: [ 'ab', 'b', 'ac' ] }).equals(Query.from({ tag: { $in: [ 'ab', 'ac' ] } }))).to.be.true;
+        expect(Query.from({ tag: { $in: $.tags } }).contains(Query.from({ tag: 'a' }))).to.be.null;
+        expect(Query.from({ tag: { $in: $.tags } }).contains(Query.from({ tag: { $in: $.tags } }))).to.be.true;
+        expect(Query.from({ tag: { $nin: $.tags } }).bind({ tags: [ 1, 2 ] }).toExpression()).to.equal('tag nin(1,2)');
+        let skills = Query.from({ skills: { $hasAll: $.skills } }).and({ skills: { $has: 'q' } });
+        expect(skills.toExpression()).to.equal('skills hasAll($skills) and skills has($self="q")');
+        expect(skills.bind({ skills: [ 'q', 'r' ] }).equals(Query.from({ skills: { $hasAll: [ 'q', 'r' ] } }))).to.be.true;
+        expect(Query.fromJSON(JSON.parse(JSON.stringify(skills))).equals(skills)).to.be.true;
+    });
+
+    it('compiles predicates giving the same results as containsItem', ()=>{
+        function byLength(a, b) { return a.length < b.length; }
+        let queries = [
+            Query.from({ x: [1,5], y: 'abc' }).or({ z: { $in: [1, 2, '3'] } }),
+            Query.from({ x: Range.greaterThan(2) }).or({ x: Range.lessThanOrEqual(-1) }).not(),
+            Query.from({ y: { $prefix: 'ab' }, z: { $nin: [1, 2] } }),
+            Query.from({ y: Range.regex(/^A/i) }).or({ y: Range.like('a_c%') }),
+            Query.from({ x: { $exists: false } }).or({ y: { $null: true } }).or({ z: { $null: false } }),
+            Query.from({ tags: { $has: 'red' } }).and({ tags: { $has: 'blue' } }),
+            Query.from({ sub: { x: [,3], y: { $has: [1,2] } } }),
+            Query.from({ y: Range.lessThan('abc', byLength) }),
+            Query.from({ x: [$.low, 5], y: $.y }).or({ z: 1 }),
+            Query.from({ x: $.a }).and({ x: [2,] }).and({ y: { $not: $.b } }),
+            Query.from({ x: 1 }).or({ y: 1 }).and(Query.from({ x: 2 }).or({ z: 1 }))
+        ];
+        let items = [
+            {}, { x: null, y: null, z: null }, { x: 0, y: '', z: false }, { x: 1, y: 'abc', z: 1 }, { x: 2, y: 'Abcd', z: '3' },
+            { x: 5, y: 'ab', z: 2 }, { x: -1, y: 'a', z: 3 }, { x: 3, y: 'abcdef', tags: ['red', 'blue'] }, { tags: ['red'] }, 
+            { tags: 'red blue' }, { sub: { x: 2, y: [1,2,3] } }, { sub: { x: 2, y: [1] } }, { sub: {} }, { x: '3', z: 1 }
+        ];
+        for (let query of queries) {
+            let predicate = query.compile();
+            for (let item of items) 
+                expect(predicate(item), `${query} ${JSON.stringify(item)}`).to.equal(query.containsItem(item));
+        }
+        let data = items.filter(item => item.x !== undefined);
+        expect(data.filter(queries[0].compile())).to.deep.equal(data.filter(queries[0].predicate));
+    });
+
+    it('limits the number of cubes in a query', ()=>{
+        let queries = [1,2,3].map(i => Query.from({ ['x' + i]: 1 }).or({ ['y' + i]: 1 }).or({ ['z' + i]: 1 }));
+        Query.withLimits({ max_cubes: 10 }, () => {
+            expect(Query.limits).to.deep.equal({ max_cubes: 10, max_depth: 16 });
+            expect(queries[0].and(queries[1]).union).to.have.length(9);
+            let large = queries[0].and(queries[1]).and(queries[2]);
+            expect(large.toExpression()).to.equal('(x1=1 or y1=1 or z1=1) and (x2=1 or y2=1 or z2=1) and (x3=1 or y3=1 or z3=1)');
+            expect(large.containsItem({ x1: 1, y2: 1, z3: 1 })).to.be.true;
+            expect(() => large.union).to.throw(QueryComplexityError);
+            expect(() => large.isEmpty()).to.throw(QueryComplexityError);
+            expect(() => large.hashKey()).to.throw(QueryComplexityError);
+            expect(queries[0].not().union).to.have.length(8);
+            let error;
+            try {
+                queries.reduce((result, query) => result.and(query)).union;
+            } catch (err) {
+                error = err;
+            }
+            expect(error).to.include({ name: 'QueryComplexityError', limit: 'max_cubes', value: 10 });
+            expect(() => Query.fromJSON({ version: 1, union: Array(11).fill({ x: 1 }) })).to.throw(QueryComplexityError);
+        });
+        expect(Query.limits).to.deep.equal({ max_cubes: 1000, max_depth: 16 });
+        expect(Object.isFrozen(Query.limits)).to.be.true;
+        expect(queries.reduce((result, query) => result.and(query)).union).to.have.length(27);
+        expect(() => Query.withLimits({ max_cubes: 10 }, () => { throw new RangeError('oops'); })).to.throw(RangeError);
+        expect(Query.limits.max_cubes).to.equal(1000);
+    });
+
+    it('limits the number of cubes in the difference of two queries', ()=>{
+        let other = Array.from({ length: 7 }, (_, i) => Query.from({ ['a' + i]: 1, ['b' + i]: 1 }))
+            .reduce((result, query) => result.or(query));
+        expect(() => Query.from({}).minus(other)).to.throw(QueryComplexityError);
+        expect(Query.withLimits({ max_cubes: 16 }, () => Query.from({}).minus(other.union[0]).union)).to.have.length(6);
+        expect(() => Query.withLimits({ max_cubes: 16 }, () => Query.from({}).minus(other))).to.throw(QueryComplexityError);
+    });
+
+    it('limits the nesting depth of subqueries', ()=>{
+        expect(Query.from({ x: 1 }).depth).to.equal(1);
+        expect(Query.from({ x: { y: { $has: { z: 1 } } } }).depth).to.equal(3);
+        expect(Query.from({ x: Range.hasAll([]) }).depth).to.equal(1);
+        let constraint = 1;
+        for (let i = 0; i < Query.limits.max_depth; i++) constraint = { x: constraint };
+        expect(Query.from(constraint).depth).to.equal(Query.limits.max_depth);
+        expect(() => Query.from({ x: constraint })).to.throw(QueryComplexityError);
+        expect(() => Query.from({ y: 1 }).or({ x: constraint })).to.throw(QueryComplexityError);
+        expect(() => Query.from({ y: 1 }).and({ x: constraint })).to.throw(QueryComplexityError);
+        expect(() => Query.parse('x.'.repeat(Query.limits.max_depth) + 'x=1')).to.throw(QueryComplexityError);
+        expect(Query.withLimits({ max_depth: 2 }, () => Query.from({ x: { y: 1 } }).depth)).to.equal(2);
+        expect(() => Query.withLimits({ max_depth: 2 }, () => Query.from({ x: { y: { z: 1 } } }))).to.throw(QueryComplexityError);
+    });
+
+    it('round trips through JSON', ()=>{
+        function byLength(a, b) { return a.length < b.length; }
+        let queries = [
+            Query.from({x: 2, y : [3,4], z : 8}).or({x:2, y: [,4], z: 7}).or({x:3, y: [3,], z: $.param1}),
+            Query.from({ tags: { $hasAll: ['old', 'dull'] }, courses: { $has: { name: 'python', grade: [,'C'] } } }),
+            Query.from({ expertise: Range.subquery(Query.from({ language: 'java' }).or({ language: 'javascript', level: 'expert' })) }),
+            Query.from({ x: Range.equals(14).intersect(Range.lessThan($.p)), y: { $not: [1,5] }, z: { $in: [1,$.q] } }),
+            Query.from({ name: Range.lessThan('abc', byLength), code: { $regex: '^a', $options: 'i' }, deleted: { $exists: false } }),
+            Query.from({ address: { postcode: { $prefix: 'SW' }, street: { $like: '%Road' } } }),
+            Query.from({ t: new Date(1000), u: [new Date(0), new Date(5000)], v: { $in: [new Date(1), new Date(2)] } }),
+            new Query()
+        ];
+        for (let query of queries) {
+            let json = JSON.parse(JSON.stringify(query.toJSON()));
+            expect(Query.fromJSON(json, { byLength }).equals(query), JSON.stringify(json)).to.be.true;
+        }
+        let dates = Query.fromJSON(JSON.parse(JSON.stringify(queries[6])));
+        expect(dates.containsItem({ t: new Date(1000), u: new Date(2000), v: new Date(2) })).to.be.true;
+        expect(dates.union[0].t.value).to.be.an.instanceof(Date);
+        expect(Query.fromJSON(queries[0].toJSON()).equals(queries[0])).to.be.true;
+        expect(() => Query.fromJSON({ version: 2, union: [] })).to.throw(RangeError);
+        expect(() => Query.fromJSON(queries[4].toJSON())).to.throw(RangeError);
+        expect(JSON.parse(JSON.stringify(queries[6])).union[0].t).to.deep.equal({ '=': { $date: '1970-01-01T00:00:01.000Z' } });
+    });
+
+    it('has the same hash key for equal queries', ()=>{
+        let query1 = Query.from({ x: [,2], y: { alpha: [2,6], beta: { nuts: 'brazil' } } }).or({ z: { $in: [1,2,3] }, w: { $hasAll: ['a','b'] } });
+        let query2 = Query.from({ w: { $hasAll: ['b','a'] }, z: { $in: [3,1,2] } }).or({ y: { beta: { nuts: 'brazil' }, alpha: [2,6] }, x: [,2] });
+        expect(query1.equals(query2)).to.be.true;
+        expect(query1.hashKey()).to.equal(query2.hashKey());
+        let query3 = Query.from({ x: Range.equals(14).intersect(Range.lessThan($.p)).intersect(Range.greaterThan($.q)) });
+        let query4 = Query.from({ x: Range.equals(14).intersect(Range.greaterThan($.q)).intersect(Range.lessThan($.p)) });
+        expect(query3.hashKey()).to.equal(query4.hashKey());
+        let query5 = Query.from({ e: Range.subquery(Query.from({ a: 1 }).or({ b: 2 })) });
+        let query6 = Query.from({ e: Range.subquery(Query.from({ b: 2 }).or({ a: 1 })) });
+        expect(query5.hashKey()).to.equal(query6.hashKey());
+        expect(query1.and({ v: Range.equals(new Date(0)) }).hashKey()).to.not.equal(query1.and({ v: Range.equals(new Date(1)) }).hashKey());
+    });
+
+    it('has different hash keys for different queries', ()=>{
+        let keys = [
+            Query.from({ x: [1,5] }), Query.from({ x: [1,6] }), Query.from({ x: [1,] }), Query.from({ x: [,1] }), Query.from({ x: 1 }), 
+            Query.from({ x: '1' }), Query.from({ x: $.p }), Query.from({ x: { $exists: true } }), Query.from({ x: { y: 1 } }), 
+            Query.from({ x: { $has: 1 } }), Query.from({ x: 1 }).or({ y: 1 }), Query.from({ x: 1, y: 1 }), new Query(),
+            Query.from({ x: new Date(0) }), Query.from({ x: new Date(0).toISOString() }), Query.from({ x: Infinity }), 
+            Query.from({ x: NaN }), Query.from({ x: { '=': null } })
+        ].map(query => query.hashKey());
+        expect(new Set(keys).size).to.equal(keys.length);
+        expect(Query.from({ x: 1 }).hashKey()).to.equal('{"version":1,"union":[{"x":1}]}');
     });
 
     it('sample code for README.md tests OK', ()=>{
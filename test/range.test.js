@@ -1,5 +1,6 @@
 const Range = require( '../src/range');
 const { Param, $ } = require('../src/param');
+const Query = require('../src/query');
 const chai = require('chai');
 const debug = require('debug')('abstract-query~tests');
 const expect = chai.expect;
@@ -369,6 +370,17 @@ describe('Range', () => {
         expect(range1.intersect(range3).equals(range1)).to.be.true;
     });
 
+    it('correct intersection for inclusive and exclusive bounds on the same value', () => {
+        expect(Range.lessThanOrEqual(5).intersect(Range.lessThan(5))).to.deep.equal(Range.lessThan(5));
+        expect(Range.lessThan(5).intersect(Range.lessThanOrEqual(5))).to.deep.equal(Range.lessThan(5));
+        expect(Range.lessThanOrEqual(5).intersect(Range.lessThanOrEqual(5))).to.deep.equal(Range.lessThanOrEqual(5));
+        expect(Range.greaterThanOrEqual(5).intersect(Range.greaterThan(5))).to.deep.equal(Range.greaterThan(5));
+        expect(Range.greaterThan(5).intersect(Range.greaterThanOrEqual(5))).to.deep.equal(Range.greaterThan(5));
+        expect(Range.greaterThanOrEqual(5).intersect(Range.greaterThanOrEqual(5))).to.deep.equal(Range.greaterThanOrEqual(5));
+        expect(Range.lessThanOrEqual(5).intersect(Range.lessThan(5)).containsItem(5)).to.be.false;
+        expect(Range.greaterThanOrEqual(5).intersect(Range.greaterThan(5)).containsItem(5)).to.be.false;
+    });
+
     it('correct intersection for greaterThan/LessThan', () => {
     	let range1 = Range.lessThan(37);
     	let range2 = Range.greaterThan(14);
@@ -496,6 +508,357 @@ describe('Range', () => {
         expect(range1.bind({param1: 34, param2: 34})).to.deep.equal(Range.has(34));
     });
 
+    it('can create not', () => {
+        expect(Range.not(Range.lessThan(5))).to.deep.equal(Range.greaterThanOrEqual(5));
+        expect(Range.not(Range.greaterThan(5))).to.deep.equal(Range.lessThanOrEqual(5));
+        expect(Range.from({ $not: { '<=': 5 } })).to.deep.equal(Range.greaterThan(5));
+        expect(Range.not(Range.lessThan($.param1))).to.deep.equal(Range.greaterThanOrEqual($.param1));
+        let range1 = Range.from({ $not: [1,5] });
+        expect(range1.operator).to.equal('$not');
+        expect(Range.not(range1).equals(Range.from([1,5]))).to.be.true;
+        expect(range1.toJSON()).to.deep.equal({ $not: [1,5] });
+        let null_only = Range.and([ Range.exists(), Range.isNull() ]);
+        expect(Range.not(Range.isNull()).equals(Range.isNull(false))).to.be.true;
+        expect([ undefined, null, 1 ].map(item => Range.not(null_only).containsItem(item))).to.deep.equal([ true, false, true ]);
+    });
+
+    it('correct containment for not', () => {
+        let range1 = Range.not([1,5]);
+        expect(range1.contains(Range.from([6,8]))).to.be.true;
+        expect(range1.contains(Range.from([3,8]))).to.be.false;
+        expect(range1.contains(Range.equals(0))).to.be.true;
+        expect(range1.contains(Range.not([0,6]))).to.be.true;
+        expect(Range.lessThan(10).contains(range1.intersect(Range.from([0,8])))).to.be.true;
+        expect(Range.lessThan(7).contains(range1.intersect(Range.from([0,8])))).to.be.false;
+        expect(range1.containsItem(0)).to.be.true;
+        expect(range1.containsItem(3)).to.be.false;
+        expect(range1.containsItem(5)).to.be.true;
+    });
+
+    it('correct containment for not with parameters', () => {
+        let range1 = Range.not([$.param1,5]);
+        expect(range1.contains(Range.from([6,8]))).to.be.true;
+        expect(range1.contains(Range.from([2,8]))).to.be.null;
+        expect(range1.contains(Range.not([$.param1,5]))).to.be.true;
+        expect(range1.containsItem(6)).to.be.true;
+        expect(range1.containsItem(3)).to.be.null;
+    });
+
+    it('correct intersection for not', () => {
+        let range1 = Range.not([1,5]);
+        expect(range1.intersect(Range.lessThan(3))).to.deep.equal(Range.lessThan(1));
+        expect(range1.intersect(Range.from([3,8]))).to.deep.equal(Range.from([5,8]));
+        expect(range1.intersect(Range.from([2,4]))).to.be.null;
+        expect(Range.from([1,5]).intersect(Range.not(7))).to.deep.equal(Range.from([1,5]));
+        expect(Range.not(7).intersect(Range.equals(7))).to.be.null;
+        let range2 = range1.intersect(Range.not([7,9]));
+        expect(range2.excluded).to.have.length(2);
+        expect(range2.intersect(Range.from([6,10])).equals(Range.from([6,10]).intersect(Range.not([7,9])))).to.be.true;
+        expect(range2.intersect(Range.from([-2,3]))).to.deep.equal(Range.from([-2,1]));
+    });
+
+    it('can bind parameters for not', () => {
+        let range1 = Range.not([$.param1, $.param2]);
+        expect(range1.bind({ param1: 1, param2: 5 }).equals(Range.not([1,5]))).to.be.true;
+        expect(range1.bind({ param3: 1 })).to.equal(range1);
+        expect(Range.not($.param1).intersect(Range.from([1,5])).bind({ param1: 7 })).to.deep.equal(Range.from([1,5]));
+    });
+
+    it('can find the complement of a range including missing and null values', () => {
+        expect(Range.complement(Range.lessThan(5))).to.deep.equal([Range.greaterThanOrEqual(5), Range.isNull(true)]);
+        expect(Range.complement(Range.exists())).to.deep.equal([Range.exists(false)]);
+        expect(Range.complement(Range.UNBOUNDED)).to.be.empty;
+        expect(Range.complement(Range.from([1,5])).some(part => part.containsItem(undefined))).to.be.true;
+        expect(Range.not(Range.lessThan(5)).containsItem(undefined)).to.be.false;
+    });
+
+    it('can find difference between ranges', () => {
+        expect(Range.difference(Range.from([1,10]), Range.from([3,5]))).to.deep.equal([Range.from([1,3]), Range.from([5,10])]);
+        expect(Range.difference(Range.from([1,10]), Range.from([5,12]))).to.deep.equal([Range.from([1,5])]);
+        expect(Range.difference(Range.from([1,10]), Range.equals(12))).to.deep.equal([Range.from([1,10])]);
+        expect(Range.difference(Range.from([3,5]), Range.from([1,10]))).to.be.empty;
+        expect(Range.difference(Range.from({ y: 1 }), Range.from({ y: 2 }))).to.have.length(1);
+        expect(Range.difference(Range.UNBOUNDED, Range.from([1,5]))).to.deep.equal([Range.lessThan(1), Range.greaterThanOrEqual(5), Range.isNull(true)]);
+        expect(Range.difference(Range.exists(), Range.isNull(false))).to.deep.equal([Range.exists(true).intersect(Range.isNull(true))]);
+    });
+
+    it('can create in', () => {
+        let range1 = Range.in([1,3,5,3]);
+        expect(range1.operator).to.equal('in');
+        expect(range1.values).to.deep.equal([1,3,5]);
+        expect(Range.from({ $in: [1,3,5] })).to.deep.equal(range1);
+        expect(Range.in([7])).to.deep.equal(Range.equals(7));
+        expect(range1.toJSON()).to.deep.equal({ $in: [1,3,5] });
+    });
+
+    it('correct containment for in', () => {
+        let range1 = Range.in([1,3,5]);
+        expect(range1.contains(Range.equals(3))).to.be.true;
+        expect(range1.contains(Range.equals(4))).to.be.false;
+        expect(range1.contains(Range.in([1,5]))).to.be.true;
+        expect(range1.contains(Range.in([1,7]))).to.be.false;
+        expect(range1.contains(Range.from([1,2]))).to.be.false;
+        expect(Range.from([1,6]).contains(range1)).to.be.true;
+        expect(Range.lessThan(5).contains(range1)).to.be.false;
+        expect(Range.greaterThan(0).contains(range1)).to.be.true;
+        expect(range1.equals(Range.in([5,3,1]))).to.be.true;
+        expect(range1.equals(Range.in([5,3]))).to.be.false;
+        expect(range1.containsItem(5)).to.be.true;
+        expect(range1.containsItem(4)).to.be.false;
+    });
+
+    it('correct containment for in with parameters', () => {
+        let range1 = Range.in([$.param1, 3]);
+        expect(range1.contains(Range.equals(3))).to.be.true;
+        expect(range1.contains(Range.equals(4))).to.be.null;
+        expect(range1.contains(Range.equals($.param1))).to.be.true;
+        expect(Range.lessThan(5).contains(range1)).to.be.null;
+        expect(range1.containsItem(3)).to.be.true;
+        expect(range1.containsItem(4)).to.be.null;
+    });
+
+    it('correct intersection for in', () => {
+        let range1 = Range.in([1,3,5]);
+        expect(range1.intersect(Range.from([2,6]))).to.deep.equal(Range.in([3,5]));
+        expect(Range.from([2,6]).intersect(range1)).to.deep.equal(Range.in([3,5]));
+        expect(range1.intersect(Range.lessThan(3))).to.deep.equal(Range.equals(1));
+        expect(range1.intersect(Range.equals(3))).to.deep.equal(Range.equals(3));
+        expect(Range.equals(4).intersect(range1)).to.be.null;
+        expect(range1.intersect(Range.in([3,5,7]))).to.deep.equal(Range.in([3,5]));
+        expect(range1.intersect(Range.not(3))).to.deep.equal(Range.in([1,5]));
+    });
+
+    it('correct intersection for in with parameters', () => {
+        let range1 = Range.in([1,3,5]).intersect(Range.lessThan($.param1));
+        expect(range1.operator).to.equal('in');
+        expect(range1.containsItem(3)).to.be.null;
+        expect(range1.bind({ param1: 4 })).to.deep.equal(Range.in([1,3]));
+        expect(range1.bind({ param1: 0 })).to.be.null;
+        expect(Range.in([$.param1, 3]).bind({ param1: 3 })).to.deep.equal(Range.equals(3));
+        let below = Range.in([1,2]).intersect(Range.lessThan($.p));
+        let above = Range.in([1,2]).intersect(Range.greaterThanOrEqual($.p));
+        expect(below.intersect(above)).to.be.null;
+    });
+
+    it('can create not equals and nin', () => {
+        expect(Range.from({ '!=': 7 })).to.deep.equal(Range.notEquals(7));
+        expect(Range.from({ $nin: [1,2] })).to.deep.equal(Range.nin([1,2]));
+        expect(Range.notEquals(7).toJSON()).to.deep.equal({ '!=': 7 });
+        expect(Range.nin([1,2]).toJSON()).to.deep.equal({ $nin: [1,2] });
+        expect(Range.nin([1])).to.deep.equal(Range.notEquals(1));
+        expect(Range.not(Range.notEquals(7))).to.deep.equal(Range.equals(7));
+    });
+
+    it('correct intersection for not equals', () => {
+        let range1 = Range.notEquals(7);
+        expect(Range.from([1,5]).intersect(range1)).to.deep.equal(Range.from([1,5]));
+        expect(range1.intersect(Range.from([1,5]))).to.deep.equal(Range.from([1,5]));
+        expect(range1.intersect(Range.lessThan(7))).to.deep.equal(Range.lessThan(7));
+        expect(range1.intersect(Range.greaterThanOrEqual(7))).to.deep.equal(Range.greaterThan(7));
+        expect(range1.intersect(Range.lessThanOrEqual(7))).to.deep.equal(Range.lessThan(7));
+        expect(range1.intersect(Range.equals(7))).to.be.null;
+        expect(range1.intersect(Range.equals(8))).to.deep.equal(Range.equals(8));
+        let range2 = Range.from([1,10]).intersect(range1);
+        expect(range2.operator).to.equal('$not');
+        expect(range2.containsItem(7)).to.be.false;
+        expect(range2.containsItem(6)).to.be.true;
+        expect(Range.nin([1,2,3]).intersect(Range.from([2,5]))).to.deep.equal(Range.from([{ '>': 2 },5]).intersect(Range.notEquals(3)));
+        expect(Range.notEquals(1).intersect(Range.notEquals(2))).to.deep.equal(Range.nin([1,2]));
+    });
+
+    it('correct containment for not equals with parameters', () => {
+        let range1 = Range.notEquals($.param1);
+        expect(range1.contains(Range.equals(3))).to.be.null;
+        expect(range1.contains(Range.notEquals($.param1))).to.be.true;
+        expect(range1.contains(Range.lessThan($.param1))).to.be.true;
+        expect(range1.contains(Range.lessThanOrEqual($.param1))).to.be.false;
+        expect(Range.lessThan($.param1).intersect(range1)).to.deep.equal(Range.lessThan($.param1));
+        expect(range1.containsItem(3)).to.be.null;
+        expect(range1.intersect(Range.from([1,5])).bind({ param1: 7 })).to.deep.equal(Range.from([1,5]));
+    });
+
+    it('can create startsWith', () => {
+        let range1 = Range.startsWith('abc');
+        expect(range1.operator).to.equal('prefix');
+        expect(range1.value).to.equal('abc');
+        expect(Range.from({ $prefix: 'abc' })).to.deep.equal(range1);
+        expect(range1.toJSON()).to.deep.equal({ $prefix: 'abc' });
+        expect(range1.toBetween()).to.deep.equal(Range.from(['abc','abd']));
+    });
+
+    it('correct containment for startsWith', () => {
+        let range1 = Range.startsWith('ab');
+        let range2 = Range.startsWith('abc');
+        expect(range1.contains(range2)).to.be.true;
+        expect(range2.contains(range1)).to.be.false;
+        expect(range1.contains(Range.equals('abz'))).to.be.true;
+        expect(range1.contains(Range.equals('b'))).to.be.false;
+        expect(range1.contains(Range.from(['abc','abd']))).to.be.true;
+        expect(Range.from(['a','b']).contains(range1)).to.be.true;
+        expect(Range.from(['abc','b']).contains(range1)).to.be.false;
+        expect(range1.containsItem('abq')).to.be.true;
+        expect(range1.containsItem('ba')).to.be.false;
+    });
+
+    it('does not treat startsWith with a custom order as a between range', () => {
+        function byLength(a, b) { return a.length < b.length; }
+        let range1 = Range.startsWith('ab', byLength);
+        expect(range1.toBetween()).to.be.null;
+        expect(Range.startsWith($.param1).toBetween()).to.be.null;
+        expect(range1.contains(Range.equals('abz', byLength))).to.be.true;
+        expect(range1.contains(Range.lessThan('b', byLength))).to.be.null;
+        expect(Range.lessThan('abcd', byLength).contains(range1)).to.be.null;
+        let range2 = range1.intersect(Range.lessThan('abcd', byLength));
+        expect(range2.containsItem('abc')).to.be.true;
+        expect(range2.containsItem('abcde')).to.be.false;
+        expect(range2.containsItem('xyz')).to.be.false;
+    });
+
+    it('correct containment for startsWith with parameters', () => {
+        let range1 = Range.startsWith($.param1);
+        expect(range1.contains(Range.startsWith($.param1))).to.be.true;
+        expect(range1.contains(Range.startsWith('abc'))).to.be.null;
+        expect(range1.containsItem('abc')).to.be.null;
+    });
+
+    it('correct intersection for startsWith', () => {
+        let range1 = Range.startsWith('ab');
+        let range2 = Range.startsWith('abc');
+        expect(range1.intersect(range2)).to.deep.equal(range2);
+        expect(range2.intersect(range1)).to.deep.equal(range2);
+        expect(range2.intersect(Range.startsWith('abd'))).to.be.null;
+        expect(range1.intersect(Range.equals('abx'))).to.deep.equal(Range.equals('abx'));
+        expect(Range.equals('x').intersect(range1)).to.be.null;
+        expect(range1.intersect(Range.from(['abm','b']))).to.deep.equal(Range.from(['abm','ac']));
+        expect(Range.from(['a','b']).intersect(range1)).to.deep.equal(range1);
+        expect(range1.intersect(Range.lessThan('aa'))).to.be.null;
+        expect(Range.in(['abc','xyz','ab']).intersect(range1)).to.deep.equal(Range.in(['abc','ab']));
+    });
+
+    it('can bind parameters for startsWith', () => {
+        let range1 = Range.startsWith($.param1).intersect(Range.from(['a','b']));
+        expect(range1.bind({ param1: 'ax' })).to.deep.equal(Range.startsWith('ax'));
+        expect(range1.bind({ param1: 'cx' })).to.be.null;
+    });
+
+    it('can create regex and like', () => {
+        let range1 = Range.regex(/^ab+c/i);
+        expect(range1.operator).to.equal('regex');
+        expect(range1.toJSON()).to.deep.equal({ $regex: '^ab+c', $options: 'i' });
+        expect(Range.from({ $regex: '^ab+c' })).to.deep.equal(Range.regex('^ab+c'));
+        let range2 = Range.like('ab%');
+        expect(range2.operator).to.equal('like');
+        expect(Range.from({ $like: 'ab%' })).to.deep.equal(range2);
+        expect(range2.toJSON()).to.deep.equal({ $like: 'ab%' });
+        expect(Range.like('a\\%b')).to.deep.equal(Range.equals('a%b'));
+        expect(() => Range.regex('ab(')).to.throw(SyntaxError);
+        expect(() => Query.from({ x: { $regex: '[a-' } })).to.throw(SyntaxError);
+        let global = Range.regex('b', 'g');
+        expect(global.containsItem('abc')).to.be.true;
+        expect(global.containsItem('abc')).to.be.true;
+    });
+
+    it('correct containment for regex and like', () => {
+        let range1 = Range.regex(/^ab+c/i);
+        let range2 = Range.like('a_c%');
+        expect(range1.containsItem('ABBBCD')).to.be.true;
+        expect(range1.containsItem('ac')).to.be.false;
+        expect(range1.containsItem(12)).to.be.false;
+        expect(range2.containsItem('abcd')).to.be.true;
+        expect(range2.containsItem('a\ncd')).to.be.true;
+        expect(range2.containsItem('abd')).to.be.false;
+        expect(Range.like('a.c%').containsItem('abc')).to.be.false;
+        expect(range1.contains(Range.equals('abc'))).to.be.true;
+        expect(range1.contains(Range.equals('xyz'))).to.be.false;
+        expect(range2.contains(Range.in(['abc','axcz']))).to.be.true;
+        expect(range1.contains(Range.regex(/^ab+c/i))).to.be.true;
+        expect(range1.contains(Range.regex(/^abc/i))).to.be.null;
+        expect(range1.equals(Range.regex(/^abc/i))).to.be.null;
+        expect(range1.equals(range2)).to.be.false;
+        expect(range1.contains(Range.from(['a','b']))).to.be.null;
+        expect(Range.from(['a','b']).contains(range2)).to.be.null;
+        expect(Range.regex($.param1).containsItem('abc')).to.be.null;
+        expect(Range.regex($.param1).contains(Range.equals('abc'))).to.be.null;
+    });
+
+    it('correct intersection for regex and like', () => {
+        let range1 = Range.like('a%');
+        expect(range1.intersect(Range.equals('abc'))).to.deep.equal(Range.equals('abc'));
+        expect(range1.intersect(Range.equals('xyz'))).to.be.null;
+        expect(Range.in(['abc','xyz']).intersect(range1)).to.deep.equal(Range.equals('abc'));
+        let range2 = range1.intersect(Range.from(['ab','b']));
+        expect(range2.containsItem('abc')).to.be.true;
+        expect(range2.containsItem('aa')).to.be.false;
+        expect(range2.toJSON()).to.deep.equal({ $and: [ { $like: 'a%' }, [ 'ab', 'b' ] ] });
+        expect(range2.intersect(Range.lessThan('aa'))).to.be.null;
+        expect(Range.from(['ab','b']).contains(range2)).to.be.true;
+        let range3 = Range.regex('c$').intersect(range1);
+        expect(range3.containsItem('abc')).to.be.true;
+        expect(range3.containsItem('abd')).to.be.false;
+        expect(range3.containsItem('bc')).to.be.false;
+    });
+
+    it('can bind parameters for regex and like', () => {
+        let range1 = Range.like($.param1).intersect(Range.from(['a','b']));
+        expect(range1.bind({ param1: 'ab%' }).containsItem('abc')).to.be.true;
+        expect(range1.bind({ param1: 'abc' })).to.deep.equal(Range.equals('abc'));
+        expect(range1.bind({ param1: 'xyz' })).to.be.null;
+        expect(Range.regex($.param1).bind({ param1: '^x' }).containsItem('xyz')).to.be.true;
+    });
+
+    it('can create exists and null', () => {
+        expect(Range.from({ $exists: true })).to.deep.equal(Range.exists());
+        expect(Range.from({ $exists: false })).to.deep.equal(Range.exists(false));
+        expect(Range.from({ $null: true })).to.deep.equal(Range.isNull());
+        expect(Range.from({ $null: false })).to.deep.equal(Range.isNull(false));
+        expect(Range.exists(false).toJSON()).to.deep.equal({ $exists: false });
+        expect(Range.isNull(false).toJSON()).to.deep.equal({ $null: false });
+    });
+
+    it('correct containment for exists and null', () => {
+        expect(Range.exists().containsItem(null)).to.be.true;
+        expect(Range.exists().containsItem(undefined)).to.be.false;
+        expect(Range.exists().containsItem(0)).to.be.true;
+        expect(Range.exists(false).containsItem(undefined)).to.be.true;
+        expect(Range.isNull().containsItem(undefined)).to.be.true;
+        expect(Range.isNull().containsItem(null)).to.be.true;
+        expect(Range.isNull().containsItem(false)).to.be.false;
+        expect(Range.isNull(false).containsItem('')).to.be.true;
+        expect(Range.exists().contains(Range.isNull(false))).to.be.true;
+        expect(Range.isNull(false).contains(Range.exists())).to.be.false;
+        expect(Range.isNull().contains(Range.exists(false))).to.be.true;
+        expect(Range.isNull(false).contains(Range.from([1,5]))).to.be.true;
+        expect(Range.exists(false).contains(Range.equals(1))).to.be.false;
+        expect(Range.from([1,5]).contains(Range.isNull(false))).to.be.false;
+        expect(Range.not(Range.equals(1)).contains(Range.exists(false))).to.be.false;
+        expect(Range.UNBOUNDED.contains(Range.exists(false))).to.be.true;
+    });
+
+    it('value ranges do not contain missing or null values', () => {
+        for (let range of [Range.equals(1), Range.lessThan(5), Range.from([1,5]), Range.in([1,2]), Range.notEquals(1), Range.startsWith('a')]) {
+            expect(range.containsItem(undefined)).to.be.false;
+            expect(range.containsItem(null)).to.be.false;
+        }
+    });
+
+    it('correct intersection for exists and null', () => {
+        expect(Range.exists().intersect(Range.exists(false))).to.be.null;
+        expect(Range.exists().intersect(Range.isNull()).toJSON()).to.deep.equal({ $and: [ { $exists: true }, { $null: true } ] });
+        expect(Range.exists().intersect(Range.from([1,5]))).to.deep.equal(Range.from([1,5]));
+        expect(Range.from([1,5]).intersect(Range.exists())).to.deep.equal(Range.from([1,5]));
+        expect(Range.lessThan(5).intersect(Range.isNull())).to.be.null;
+        expect(Range.not(Range.equals(1)).intersect(Range.exists(false))).to.be.null;
+        expect(Range.not(Range.exists())).to.deep.equal(Range.exists(false));
+        expect(Range.not(Range.isNull(false))).to.deep.equal(Range.isNull());
+    });
+
+    it('can create ranges with falsy values', () => {
+        expect(Range.from(0)).to.deep.equal(Range.equals(0));
+        expect(Range.from(false).containsItem(false)).to.be.true;
+        expect(Range.from([0,5]).containsItem(0)).to.be.true;
+        expect(Range.from([0,5]).containsItem(-1)).to.be.false;
+    });
+
     it('correct intersection for has', () => {
         let range1 = Range.from({ $has: 6 });
         let range2 = Range.from({ $has: 8 });
@@ -503,4 +866,68 @@ describe('Range', () => {
         expect(range3).to.deep.equal(Range.from({$hasAll: [6,8]}));
     });
 
+    it('can find union of scalar ranges', () => {
+        expect(Range.union(Range.from([1,3]), Range.from([3,5]))).to.deep.equal(Range.from([1,5]));
+        expect(Range.union(Range.from([1,4]), Range.from([3,5]))).to.deep.equal(Range.from([1,5]));
+        expect(Range.union(Range.from([3,5]), Range.from([1,3]))).to.deep.equal(Range.from([1,5]));
+        expect(Range.union(Range.from([1,5]), Range.from([2,3]))).to.deep.equal(Range.from([1,5]));
+        expect(Range.union(Range.lessThan(3), Range.equals(3))).to.deep.equal(Range.lessThanOrEqual(3));
+        expect(Range.union(Range.lessThan(3), Range.from([3,5]))).to.deep.equal(Range.lessThan(5));
+        expect(Range.union(Range.lessThan(3), Range.greaterThanOrEqual(3))).to.deep.equal(Range.isNull(false));
+        expect(Range.union(Range.equals(1), Range.equals(2))).to.deep.equal(Range.in([1,2]));
+        expect(Range.union(Range.equals(1), Range.notEquals(1))).to.deep.equal(Range.isNull(false));
+        expect(Range.union(Range.in([1,2]), Range.equals(3))).to.deep.equal(Range.in([1,2,3]));
+        let closed = Range.and([ Range.greaterThanOrEqual(1), Range.lessThanOrEqual(5) ]);
+        expect(Range.union(Range.from([1,5]), Range.equals(5)).equals(closed)).to.be.true;
+        expect(Range.union(Range.equals(5), Range.from([1,5])).equals(closed)).to.be.true;
+        expect(Range.union(Range.from([1,3]), Range.and([ Range.greaterThan(3), Range.lessThanOrEqual(5) ]))).to.be.null;
+        expect(Range.union(Range.and([ Range.greaterThan(1), Range.lessThanOrEqual(3) ]), Range.from([3,5])).equals(Range.and([ Range.greaterThan(1), Range.lessThan(5) ]))).to.be.true;
+        expect(Range.greaterThanOrEqual(1).intersect(Range.lessThanOrEqual(5)).containsItem(5)).to.be.true;
+        expect(Range.from([1,5]).intersect(Range.lessThanOrEqual(0))).to.be.null;
+        expect(Range.from([1,5]).intersect(Range.greaterThan(5))).to.be.null;
+        expect(Range.union(Range.startsWith('ab'), Range.startsWith('ac'))).to.deep.equal(Range.from(['ab','ad']));
+        expect(Range.union(Range.exists(false), Range.isNull(false))).to.deep.equal(Range.not(Range.exists().intersect(Range.isNull())));
+        expect(Range.union(Range.isNull(), Range.isNull(false))).to.deep.equal(Range.UNBOUNDED);
+    });
+
+    it('does not find union of separate or parametrized ranges', () => {
+        expect(Range.union(Range.from([1,3]), Range.from([4,5]))).to.be.null;
+        expect(Range.union(Range.lessThan(3), Range.greaterThan(3))).to.be.null;
+        expect(Range.union(Range.from([1,3]), Range.from([$.p,5]))).to.be.null;
+        expect(Range.union(Range.from(['a','cc']), Range.from(['cc','eeee'], function byLength(a, b) { return a.length < b.length; }))).to.be.null;
+        expect(Range.union(Range.regex(/a/), Range.regex(/b/))).to.be.null;
+        expect(Range.union(Range.in([1,2]).intersect(Range.lessThan($.p)), Range.equals(3))).to.be.null;
+    });
+
+    it('round trips every range type through JSON', () => {
+        function byLength(a, b) { return a.length < b.length; }
+        const orders = { byLength };
+        const roundTrip = range => Range.fromJSON(JSON.parse(JSON.stringify(range.toJSON())), orders);
+        let ranges = [
+            Range.equals(5), Range.equals('abc'), Range.equals(null), Range.equals([1,2]), Range.equals({ a: 1 }), Range.equals($.p),
+            Range.lessThan(5), Range.lessThanOrEqual(5), Range.greaterThan(5), Range.greaterThanOrEqual(5), Range.from([1,5]),
+            Range.from([{ '>': 1 }, { '<=': 5 }]), Range.from([$.lower, $.upper]), Range.notEquals(3), Range.nin([1,2]), Range.not([1,5]),
+            Range.in([1,3,5]), Range.in([1,$.p]).intersect(Range.lessThan(4)), Range.startsWith('ab'),
+            Range.regex(/^ab+c/i), Range.like('ab%'), Range.like('a%').intersect(Range.from(['ab','b'])),
+            Range.exists(), Range.exists(false), Range.isNull(), Range.isNull(false), Range.exists().intersect(Range.isNull()),
+            Range.from({ $has: 'red' }), Range.from({ $hasAll: [ 'red', [1,5] ] }), Range.from({ $has: { name: 'java' } }),
+            Range.from({ name: 'java', level: [3,] }), Range.subquery(Query.from({ name: 'java' }).or({ level: [3,] })),
+            Range.equals(14).intersect(Range.lessThan($.p)), Range.from([1,5]).intersect(Range.greaterThan($.p)).intersect(Range.lessThan($.q)),
+            Range.lessThan('abc', byLength), Range.from(['a','abc'], byLength), Range.equals('ab', byLength), Range.in(['a','bb'], byLength), 
+            Range.notEquals('ab', byLength), Range.startsWith('ab', byLength), Range.UNBOUNDED
+        ];
+        for (let range of ranges) {
+            let result = roundTrip(range);
+            expect(result.equals(range), JSON.stringify(range)).to.be.true;
+        }
+    });
+
+    it('reads back regex options and rejects unknown orders', () => {
+        expect(Range.from({ $regex: 'abc', $options: 'i' }).containsItem('ABC')).to.be.true;
+        expect(() => Range.fromJSON({ '<': 5, order: 'byLength' })).to.throw(RangeError);
+        expect(Range.lessThan(5, function byLength(a, b) { return a.length < b.length; }).toJSON()).to.deep.equal({ '<': 5, order: 'byLength' });
+        expect(Range.equals([1,2]).toJSON()).to.deep.equal({ '=': [1,2] });
+        expect(Range.from({ $has: 'red' }).toJSON()).to.deep.equal({ $has: 'red' });
+    });
+
 });
@@ -0,0 +1,87 @@
+const { Query, SqlFormatter, $ } = require( '../src');
+const chai = require('chai');
+const debug = require('debug')('abstract-query~tests');
+const expect = chai.expect;
+
+describe('SqlFormatter', () => {
+
+    it('creates where clause with positional placeholders', () => {
+        let query = Query.from({ x: [1,5], y: 'abc' }).or({ x: [7,], z: { '!=': 3 } });
+        let expr = query.toExpression(new SqlFormatter());
+        debug(expr.sql);
+        expect(expr.sql).to.equal('("x" >= ? AND "x" < ? AND "y" = ? OR "x" >= ? AND "z" <> ?)');
+        expect(expr.params).to.deep.equal([ 1, 5, 'abc', 7, 3 ]);
+    });
+
+    it('creates where clause with named placeholders', () => {
+        let query = Query.from({ x: [$.min,5], y: { $in: ['a','b'] } });
+        let expr = query.toExpression(new SqlFormatter({ named: true }));
+        expect(expr.sql).to.equal('"x" >= :min AND "x" < :v1 AND "y" IN (:v2, :v3)');
+        expect(expr.params).to.deep.equal({ v1: 5, v2: 'a', v3: 'b' });
+        expr = Query.from({ x: [$.v1,5], y: $.v3, z: 'a' }).toExpression(new SqlFormatter({ named: true }));
+        expect(expr.sql).to.equal('"x" >= :v1 AND "x" < :v2 AND "y" = :v3 AND "z" = :v4');
+        expect(expr.params).to.deep.equal({ v2: 5, v4: 'a' });
+    });
+
+    it('maps unbound parameters to named placeholders', () => {
+        let expr = Query.from({ x: $.param1, y: 7 }).toExpression(new SqlFormatter());
+        expect(expr.sql).to.equal('"x" = :param1 AND "y" = ?');
+        expect(expr.params).to.deep.equal([ 7 ]);
+        expect(Query.from({ tag: { $in: $.tags } }).toExpression(new SqlFormatter()).sql).to.equal('"tag" IN (:tags)');
+        let correlation = table => [ table, '.person_id = person.id' ];
+        expect(Query.from({ skills: { $hasAll: $.skills } }).toExpression(new SqlFormatter({ correlation })).sql).to.equal(
+            '(SELECT COUNT(DISTINCT "value") FROM "skills" WHERE "skills".person_id = person.id AND "value" IN (:skills)) = CARDINALITY(:skills)'
+        );
+    });
+
+    it('supports dialect hooks', () => {
+        let formatter = new SqlFormatter({
+            quoteIdentifier: name => '`' + name + '`',
+            placeholder: index => '$' + (index + 1)
+        });
+        let expr = Query.from({ x: 'a', y: { $nin: [1,2] } }).toExpression(formatter);
+        expect(expr.sql).to.equal('`x` = $1 AND `y` NOT IN ($2, $3)');
+        expect(expr.params).to.deep.equal([ 'a', 1, 2 ]);
+    });
+
+    it('creates expressions for string matching and null checks', () => {
+        let expr = Query.from({ a: { $prefix: '50%_' }, b: { $like: 'x_z' }, c: { $null: true }, d: { $exists: true } }).toExpression(new SqlFormatter());
+        expect(expr.sql).to.equal('"a" LIKE ? ESCAPE \'\\\' AND "b" LIKE ? ESCAPE \'\\\' AND "c" IS NULL AND "d" IS NOT NULL');
+        expect(expr.params).to.deep.equal([ '50\\%\\_%', 'x_z' ]);
+        expect(Query.from({ a: /^ab/ }).toExpression(new SqlFormatter()).sql).to.equal('"a" REGEXP ?');
+        expect(() => Query.from({ a: /^ab/i }).toExpression(new SqlFormatter())).to.throw(RangeError);
+    });
+
+    it('creates expressions for negation', () => {
+        let expr = Query.from({ x: { $not: [1,5] } }).toExpression(new SqlFormatter());
+        expect(expr.sql).to.equal('NOT ("x" >= ? AND "x" < ?)');
+        expect(expr.params).to.deep.equal([ 1, 5 ]);
+        expr = Query.from({ x: { $not: { $like: 'a%' } } }).toExpression(new SqlFormatter());
+        expect(expr.sql).to.equal('NOT ("x" LIKE ? ESCAPE \'\\\')');
+    });
+
+    it('creates expressions for subqueries', () => {
+        let expr = Query.from({ age: [,50], expertise: { language: 'java' } }).toExpression(new SqlFormatter());
+        expect(expr.sql).to.equal('"age" < ? AND "expertise"."language" = ?');
+        expect(expr.params).to.deep.equal([ 50, 'java' ]);
+    });
+
+    it('creates EXISTS subselect for has', () => {
+        let correlation = table => [ table, '.person_id = person.id' ];
+        let expr = Query.from({ tags: { $has: 'red' } }).toExpression(new SqlFormatter({ correlation }));
+        expect(expr.sql).to.equal('EXISTS (SELECT 1 FROM "tags" WHERE "tags".person_id = person.id AND "value" = ?)');
+        expect(() => Query.from({ tags: { $has: 'red' } }).toExpression(new SqlFormatter())).to.throw(RangeError);
+        expr = Query.from({ expertise: { $has: { language: 'java', level: $.level } } }).toExpression(new SqlFormatter({
+            subselect: (table, condition) => [ 'EXISTS (SELECT 1 FROM ', table, ' t WHERE t.person_id = person.id AND ', condition, ')' ]
+        }));
+        expect(expr.sql).to.equal('EXISTS (SELECT 1 FROM "expertise" t WHERE t.person_id = person.id AND "language" = ? AND "level" = :level)');
+        expect(expr.params).to.deep.equal([ 'java' ]);
+    });
+
+    it('creates arithmetic for parameter expressions', () => {
+        let expr = Query.from({ x: [$.a, $.a.multiply(2).add(5)] }).toExpression(new SqlFormatter());
+        expect(expr.sql).to.equal('"x" >= :a AND "x" < (:a * ? + ?)');
+        expect(expr.params).to.deep.equal([ 2, 5 ]);
+        expect(() => Query.from({ x: [$.a, $.a.add(7, 'days')] }).toExpression(new SqlFormatter())).to.throw(RangeError);
+    });
+});